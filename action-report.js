@@ -0,0 +1,116 @@
+const fs = require('fs'),
+    crypto = require('crypto'),
+    logger = require('./logger');
+
+const RESULT_TEXT = {
+    0: 'Succeeded',
+    1: 'Deployed, but health is not Green',
+    2: 'Failed',
+    3: 'Failed, rolled back',
+    4: 'Failed, rollback also failed'
+};
+
+//Writes the step outputs to $GITHUB_OUTPUT and a Markdown report to $GITHUB_STEP_SUMMARY, so later steps in the
+//workflow can use the results and people don't have to dig through the log to see what happened.
+//
+//The report has the application and version, and one entry per environment with its final state, as returned by
+//DescribeEnvironments, plus the events that were logged while deploying to it.
+function writeReport(report) {
+    try {
+        if (process.env.GITHUB_OUTPUT) {
+            writeOutputs(report);
+        }
+        if (process.env.GITHUB_STEP_SUMMARY) {
+            fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, createSummary(report));
+        }
+    } catch (err) {
+        logger.warn(`Failed to write action outputs or job summary: ${err.message}`);
+    }
+}
+
+function writeOutputs(report) {
+    //With several environments the single value outputs are for the first one, all of them are in "environments".
+    let env = report.environments[0] || {};
+    let outputs = {
+        version_label: report.versionLabel,
+        version_created: report.versionCreated,
+        s3_bucket: report.bucket,
+        s3_key: report.s3Key,
+        environment_id: env.environmentId,
+        cname: env.cname,
+        environment_url: env.cname ? `http://${env.cname}` : '',
+        health: env.health,
+        health_status: env.healthStatus,
+        deployment_duration: env.durationSeconds,
+        exit_code: report.exitCode,
+        environments: JSON.stringify(report.environments.map(env => Object.assign({}, env, { timeline: undefined })))
+    };
+
+    let text = '';
+    for (let name of Object.keys(outputs)) {
+        let value = outputs[name] === null || outputs[name] === undefined ? '' : String(outputs[name]);
+        if (value.indexOf('\n') === -1) {
+            text += `${name}=${value}\n`;
+        } else {
+            let delimiter = `ghadelimiter_${crypto.randomBytes(8).toString('hex')}`;
+            text += `${name}<<${delimiter}\n${value}\n${delimiter}\n`;
+        }
+    }
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, text);
+}
+
+function createSummary(report) {
+    let lines = [];
+    lines.push(`## Beanstalk deployment: ${RESULT_TEXT[report.exitCode] || `exit code ${report.exitCode}`}`);
+    lines.push('');
+    lines.push('| | |');
+    lines.push('|---|---|');
+    lines.push(`| Application | ${cell(report.application)} |`);
+    lines.push(`| Version | ${cell(report.versionLabel)} (${report.versionCreated ? 'new version' : 'existing version'}) |`);
+    if (report.bucket) {
+        lines.push(`| Source bundle | s3://${cell(report.bucket)}/${cell(report.s3Key)} |`);
+    }
+    lines.push('');
+
+    if (report.environments.length > 0) {
+        lines.push('| Environment | Result | Health | URL | Duration |');
+        lines.push('|---|---|---|---|---|');
+        for (let env of report.environments) {
+            let health = env.health ? `${env.health}${env.healthStatus ? ` (${env.healthStatus})` : ''}` : '';
+            let url = env.cname ? `http://${env.cname}` : '';
+            lines.push(`| ${cell(env.environmentName)} | ${cell(env.outcome)} | ${cell(health)} | ${cell(url)} | ${formatDuration(env.durationSeconds)} |`);
+        }
+        lines.push('');
+    }
+
+    for (let env of report.environments.filter(env => env.timeline && env.timeline.length > 0)) {
+        lines.push(`<details><summary>Events for ${escapeHtml(env.environmentName)}</summary>`);
+        lines.push('');
+        lines.push('```');
+        for (let ev of env.timeline) {
+            lines.push(`${ev.date.toISOString().substr(11, 8)} ${ev.severity}: ${ev.message}`);
+        }
+        lines.push('```');
+        lines.push('</details>');
+        lines.push('');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function cell(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return '';
+    }
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+module.exports = { writeReport };
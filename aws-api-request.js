@@ -1,8 +1,31 @@
 const crypto = require('crypto'),
+    http = require('http'),
     https = require('https'),
-    zlib = require('zlib');
+    zlib = require('zlib'),
+    httpProxy = require('./http-proxy'),
+    logger = require('./logger');
+
+//Names the AWS SDKs use for the service part of AWS_ENDPOINT_URL_<SERVICE>
+const ENDPOINT_ENV_NAMES = { s3: 'S3', elasticbeanstalk: 'ELASTIC_BEANSTALK', sts: 'STS' };
+
+//Network errors that are usually gone when trying again a bit later. ENOTFOUND isn't one of them, it's almost always a
+//wrong host name, while EAI_AGAIN is the DNS server not answering.
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN'];
+const TRANSIENT_STATUS_CODES = [500, 502, 503, 504];
+const THROTTLING_ERROR_CODES = ['Throttling', 'ThrottlingException', 'RequestLimitExceeded', 'TooManyRequestsException', 'SlowDown'];
+
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
 
 function awsApiRequest(options, retryAttempt = 0) {
+    //Without static keys the credentials come from a provider, which caches them and refreshes them before they expire.
+    if (!options.unsigned && !options.accessKey && !awsApiRequest.accessKey && awsApiRequest.credentialProvider) {
+        return awsApiRequest.credentialProvider().then(credentials => awsApiRequest(Object.assign({}, options, {
+            accessKey: credentials.accessKey,
+            secretKey: credentials.secretKey,
+            sessionToken: credentials.sessionToken
+        }), retryAttempt));
+    }
+
     return new Promise((resolve, reject) => {
         let region = options.region || awsApiRequest.region || process.env.AWS_DEFAULT_REGION,
             service = options.service,
@@ -10,15 +33,38 @@ function awsApiRequest(options, retryAttempt = 0) {
             secretKey = options.secretKey || awsApiRequest.secretKey || process.env.AWS_SECRET_ACCESS_KEY,
             sessionToken = options.sessionToken || awsApiRequest.sessionToken || process.env.AWS_SESSION_TOKEN,
             maxBackoffRetries =  options.maxBackoffRetries || awsApiRequest.maxBackoffRetries || 10,
+            requestTimeoutSeconds = options.requestTimeoutSeconds || awsApiRequest.requestTimeoutSeconds || DEFAULT_REQUEST_TIMEOUT_SECONDS,
             method = options.method || 'GET',
             path = options.path || '/',
             querystring = options.querystring || {},
             payload = options.payload || '',
-            host = options.host || `${service}.${region}.amazonaws.com`,
+            endpointUrl = getEndpointUrl(service),
+            protocol = 'https:',
+            host,
             headers = options.headers || {};
 
-        if (region.match(/^cn-/)) {
-            host += '.cn'; //Special case for AWS China...
+        if (options.host) {
+            host = options.host;
+        } else if (endpointUrl) {
+            //Custom endpoint, e.g. LocalStack, a VPC or FIPS endpoint. Host includes the port if it's not the default one.
+            let url = new URL(endpointUrl);
+            protocol = url.protocol;
+            host = url.host;
+        } else {
+            host = `${service}.${region}.amazonaws.com`;
+            if (region.match(/^cn-/)) {
+                host += '.cn'; //Special case for AWS China...
+            }
+        }
+
+        //S3 buckets are addressed either as part of the host (virtual hosted style) or as the first part of the path (path style).
+        //Path style is mostly needed for custom endpoints, where there is no DNS entry for the bucket subdomain.
+        if (options.bucket && !options.host) {
+            if (awsApiRequest.s3ForcePathStyle || (process.env.AWS_S3_FORCE_PATH_STYLE || '').toLowerCase() === 'true') {
+                path = `/${options.bucket}${path}`;
+            } else {
+                host = `${options.bucket}.${host}`;
+            }
         }
 
         function hmacSha256(data, key, hex = false) {
@@ -92,7 +138,7 @@ function awsApiRequest(options, retryAttempt = 0) {
         let timestamp = new Date().toISOString().replace(/(-|:|\.\d\d\d)/g, ''); // YYYYMMDD'T'HHmmSS'Z'
         let datestamp = timestamp.substr(0, 8);
 
-        let sessionTokenHeader = sessionToken ? { 'x-amz-security-token': sessionToken } : {};
+        let sessionTokenHeader = sessionToken && !options.unsigned ? { 'x-amz-security-token': sessionToken } : {};
 
         let reqHeaders = Object.assign({
             Accept: 'application/json',
@@ -102,63 +148,104 @@ function awsApiRequest(options, retryAttempt = 0) {
             'x-amz-content-sha256': sha256(payload)
         }, sessionTokenHeader, headers); // Passed in headers override these...
 
-        let canonicalRequest = createCanonicalRequest(method, path, querystring, reqHeaders, payload);
-        let stringToSign = createStringToSign(timestamp, region, service, canonicalRequest);
-        let signingKey = createSigningKey(secretKey, datestamp, region, service);
-        let signature = hmacSha256(stringToSign, signingKey, true);
-        let authHeader = createAuthHeader(accessKey, timestamp, region, service, reqHeaders, signature);
+        //Some calls, like AssumeRoleWithWebIdentity, are made before we have any credentials, and must not be signed.
+        if (!options.unsigned) {
+            let canonicalRequest = createCanonicalRequest(method, path, querystring, reqHeaders, payload);
+            let stringToSign = createStringToSign(timestamp, region, service, canonicalRequest);
+            let signingKey = createSigningKey(secretKey, datestamp, region, service);
+            let signature = hmacSha256(stringToSign, signingKey, true);
+            let authHeader = createAuthHeader(accessKey, timestamp, region, service, reqHeaders, signature);
 
-        reqHeaders.Authorization = authHeader;
+            reqHeaders.Authorization = authHeader;
+        }
 
         //Now, lets finally do a HTTP REQUEST!!!
-        request(method, encodeURI(path), reqHeaders, querystring, payload, retryAttempt, (err, result) => {
-            if (err) {
-                reject(err);
-            } else {
-                if (result.statusCode >= 300 && result.statusCode < 400 && result.headers.location) {
-                    const url = new URL(result.headers.location);
-                    headers.Host = url.hostname;
-                    resolve(awsApiRequest({
-                        ...options,
-                        host: url.hostname
-                    }));
-                } else if (wasThrottled(result)) {
-                    //Exponential backoff with a 500ms jitter
-                    let timeout = Math.pow(2, retryAttempt) * 100 + Math.floor(Math.random() * 500);
-                    //Exponential backoff...
-                    //2~0 * 100 = 100
-                    //2~1 * 100 = 200
-                    //2~2 * 100 = 400
-                    //2~3 * 100 = 800
-                    //2~4 * 100 = 1600
-                    //2~5 * 100 = 3200
-                    //2~6 * 100 = 6400
-                    //2~7 * 100 = 12800
-                    //2~8 * 100 = 25600
-                    //2~9 * 100 = 51200
-
-                    if (retryAttempt > maxBackoffRetries) {
-                        //Give them the error result, the caller can then deal with it...
-                        console.warn(`Retry attempt exceeded max retry count (${maxBackoffRetries})... Giving up...`);
-                        resolve(result);
-                        return;
-                    }
-                    if (querystring.Operation) {
-                        console.warn(`Request for ${querystring.Operation} in ${options.service} was throttled (retry attempt ${retryAttempt}). Retrying in ${timeout}ms...`);
+        request(protocol, method, encodeURI(path), reqHeaders, querystring, payload, requestTimeoutSeconds, (err, result) => {
+            if (!err) {
+                logger.debug(`${method} ${host}${path} ${querystring.Operation || ''}: ${result.statusCode}`,
+                    { type: 'request', service, operation: querystring.Operation || null, method, host, path, statusCode: result.statusCode, retryAttempt });
+            }
+            let retryReason = getRetryReason(err, result);
+
+            if (!err && result.statusCode >= 300 && result.statusCode < 400 && result.headers.location) {
+                const url = new URL(result.headers.location);
+                headers.Host = url.host;
+                resolve(awsApiRequest({
+                    ...options,
+                    host: url.host,
+                    path
+                }));
+            } else if (retryReason) {
+                //Exponential backoff with a 500ms jitter
+                let timeout = Math.pow(2, retryAttempt) * 100 + Math.floor(Math.random() * 500);
+                //Exponential backoff...
+                //2~0 * 100 = 100
+                //2~1 * 100 = 200
+                //2~2 * 100 = 400
+                //2~3 * 100 = 800
+                //2~4 * 100 = 1600
+                //2~5 * 100 = 3200
+                //2~6 * 100 = 6400
+                //2~7 * 100 = 12800
+                //2~8 * 100 = 25600
+                //2~9 * 100 = 51200
+
+                if (retryAttempt > maxBackoffRetries) {
+                    //Give them the error result, the caller can then deal with it...
+                    logger.warn(`Retry attempt exceeded max retry count (${maxBackoffRetries})... Giving up...`);
+                    if (err) {
+                        reject(err);
                     } else {
-                        console.warn(`Request for service "${options.service}, path "${options.path}", method "${options.method}" was throttled (retry attempt ${retryAttempt}). Retrying in ${timeout}ms...`);
+                        resolve(result);
                     }
-                    setTimeout(() => resolve(awsApiRequest(options, retryAttempt + 1)), timeout);
+                    return;
+                }
+                let retry = { type: 'retry', service, operation: querystring.Operation || null, method, path, reason: retryReason, retryAttempt, delayMs: timeout };
+                if (querystring.Operation) {
+                    logger.warn(`Request for ${querystring.Operation} in ${options.service} ${retryReason} (retry attempt ${retryAttempt}). Retrying in ${timeout}ms...`, retry);
                 } else {
-                    resolve(result);
+                    logger.warn(`Request for service "${service}", path "${options.path}", method "${method}" ${retryReason} (retry attempt ${retryAttempt}). Retrying in ${timeout}ms...`, retry);
                 }
+                setTimeout(() => resolve(awsApiRequest(options, retryAttempt + 1)), timeout);
+            } else if (err) {
+                reject(err);
+            } else {
+                resolve(result);
             }
         });
     });
 }
 
+//Explicitly configured endpoints win over the AWS_ENDPOINT_URL environment variables, and per service ones over global ones.
+function getEndpointUrl(service) {
+    let endpointUrls = awsApiRequest.endpointUrls || {};
+    let envName = 'AWS_ENDPOINT_URL_' + (ENDPOINT_ENV_NAMES[service] || service.toUpperCase());
+    return endpointUrls[service] || awsApiRequest.endpointUrl || process.env[envName] || process.env.AWS_ENDPOINT_URL;
+}
+
+//Throttling comes as a 400 or 429 with an error code in the JSON from Beanstalk and STS, and as a 503 with SlowDown in the
+//XML from S3.
 function wasThrottled(result) {
-    return result.statusCode === 400 && result.data && result.data.Error && result.data.Error.Code === 'Throttling';
+    if (result.statusCode < 400) {
+        return false;
+    }
+    if (result.data && result.data.Error && THROTTLING_ERROR_CODES.indexOf(result.data.Error.Code) !== -1) {
+        return true;
+    }
+    let match = typeof result.data === 'string' || Buffer.isBuffer(result.data) ? /<Code>([^<]+)<\/Code>/.exec(result.data.toString()) : null;
+    return match !== null && THROTTLING_ERROR_CODES.indexOf(match[1]) !== -1;
+}
+
+//Why the request should be tried again, or null if it shouldn't. Errors that aren't network errors, like an invalid
+//url, and 4xx responses would just fail the same way again.
+function getRetryReason(err, result) {
+    if (err) {
+        return TRANSIENT_ERROR_CODES.indexOf(err.code) !== -1 ? `failed with ${err.code}` : null;
+    }
+    if (wasThrottled(result)) {
+        return 'was throttled';
+    }
+    return TRANSIENT_STATUS_CODES.indexOf(result.statusCode) !== -1 ? `failed with status ${result.statusCode}` : null;
 }
 
 function createResult(data, res) {
@@ -172,21 +259,54 @@ function createResult(data, res) {
     }
 }
 
-function request(method, path, headers, querystring, data, retryAttempt, callback) {
+//Goes through the proxy from HTTPS_PROXY or HTTP_PROXY unless the host is in NO_PROXY. timeoutSeconds is how long the
+//connection can be idle, waiting for the proxy, the connection or the response, before failing with ETIMEDOUT.
+function request(protocol, method, path, headers, querystring, data, timeoutSeconds, callback) {
 
     let qs = Object.keys(querystring).map(k => `${k}=${encodeURIComponent(querystring[k])}`).join('&');
     path += '?' + qs;
-    let hostname = headers.Host;
+    let [hostname, port] = headers.Host.split(':');
     delete headers.Host;
     headers['Content-Length'] = data.length;
-    const port = 443;
+    port = parseInt(port) || (protocol === 'http:' ? 80 : 443);
+
+    //Errors can come both from the request and the response, but the caller must only hear about the first one
+    let finished = false;
+    function done(err, result) {
+        if (!finished) {
+            finished = true;
+            callback(err, result);
+        }
+    }
 
+    let options = { hostname, port, path, method, headers, timeout: timeoutSeconds * 1000 };
+    let proxy;
     try {
-        const options = { hostname, port, path, method, headers };
-        const req = https.request(options, res => {
+        proxy = httpProxy.getProxyUrl(protocol, hostname, port);
+    } catch (err) {
+        done(new Error(`Invalid proxy url: ${err.message}`));
+        return;
+    }
+    if (!proxy) {
+        send(protocol, options, data, timeoutSeconds, done);
+        return;
+    }
+    httpProxy.proxyRequestOptions(proxy, protocol, options, (err, proxyOptions) => {
+        if (err) {
+            done(err);
+        } else {
+            send(protocol, proxyOptions, data, timeoutSeconds, done);
+        }
+    });
+}
+
+function send(protocol, options, data, timeoutSeconds, callback) {
+    try {
+        const req = (protocol === 'http:' ? http : https).request(options, res => {
 
             let chunks = [];
             res.on('data', d => chunks.push(d));
+            res.on('error', err => callback(err));
             res.on('end', () => {
                 let buffer = Buffer.concat(chunks);
                 if (res.headers['content-encoding'] === 'gzip') {
@@ -203,6 +323,11 @@ function request(method, path, headers, querystring, data, retryAttempt, callbac
             });
 
         });
+        req.on('timeout', () => {
+            let err = new Error(`Request to ${options.hostname} timed out after ${timeoutSeconds} seconds`);
+            err.code = 'ETIMEDOUT';
+            req.destroy(err);
+        });
         req.on('error', err => callback(err));
 
         if (data) {
@@ -214,4 +339,23 @@ function request(method, path, headers, querystring, data, retryAttempt, callbac
     }
 }
 
+//Plain unsigned request to a full url, for the few things we need that aren't AWS API calls.
+function requestUrl(url, method = 'GET', headers = {}, payload = '') {
+    return new Promise((resolve, reject) => {
+        let parsed = new URL(url);
+        let querystring = {};
+        parsed.searchParams.forEach((value, key) => querystring[key] = value);
+
+        let timeoutSeconds = awsApiRequest.requestTimeoutSeconds || DEFAULT_REQUEST_TIMEOUT_SECONDS;
+        request(parsed.protocol, method, parsed.pathname, Object.assign({ Host: parsed.host }, headers), querystring, payload, timeoutSeconds, (err, result) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
 module.exports = awsApiRequest;
+module.exports.requestUrl = requestUrl;
@@ -0,0 +1,390 @@
+const awsApiRequest = require('./aws-api-request'),
+    childProcess = require('child_process'),
+    fs = require('fs'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    logger = require('./logger');
+
+const DEFAULT_SESSION_NAME = 'beanstalk-deploy';
+
+//Temporary credentials are refreshed this long before they expire, so they don't expire in the middle of a request.
+const EXPIRATION_MARGIN = 5 * 60 * 1000;
+
+//Credentials are objects with accessKey, secretKey, sessionToken, expiration (a Date, or null if they never expire)
+//and source (a description of where they came from, for logging). Providers are functions that return a promise of
+//credentials, or of null if that kind of credentials isn't available at all.
+
+//Wraps a provider so it only fetches new credentials when it has none, or the ones it has are about to expire. That way
+//credentials are refreshed during long deployments, without fetching them again for every request.
+function cached(provider) {
+    let credentials = null, pending = null;
+
+    return function () {
+        if (credentials && (!credentials.expiration || credentials.expiration.getTime() - EXPIRATION_MARGIN > Date.now())) {
+            return Promise.resolve(credentials);
+        }
+        if (!pending) {
+            if (credentials) {
+                logger.info(`Credentials from ${credentials.source} expire at ${credentials.expiration.toISOString()}, refreshing them...`);
+            }
+            pending = provider().then(result => {
+                if (!result) {
+                    throw new Error('No credentials found');
+                }
+                credentials = result;
+                pending = null;
+                return result;
+            }, err => {
+                pending = null;
+                throw err;
+            });
+        }
+        return pending;
+    };
+}
+
+//The same chain the AWS CLI and SDKs use, minus SSO and source profiles: environment variables, web identity token file, shared
+//credentials/config files (including credential_process), ECS container credentials and finally EC2 instance metadata.
+//The first provider that has credentials is used from then on, so refreshing doesn't walk the whole chain again.
+function defaultProviderChain() {
+    let providers = [fromEnvironment, fromWebIdentityTokenFileEnvironment, fromSharedFiles, fromContainer, fromInstanceMetadata];
+    let chosen = null;
+
+    return cached(function () {
+        if (chosen) {
+            return chosen();
+        }
+
+        let errors = [];
+        return providers.reduce((previous, provider) => previous.then(credentials => {
+            if (credentials) {
+                return credentials;
+            }
+            return Promise.resolve().then(provider).then(result => {
+                if (result) {
+                    chosen = provider;
+                }
+                return result;
+            }, err => {
+                if (err.fatal) {
+                    throw err;
+                }
+                errors.push(err.message);
+                return null;
+            });
+        }), Promise.resolve(null)).then(credentials => {
+            if (!credentials) {
+                throw new Error('Could not find AWS credentials in environment variables, web identity token file, shared credentials/config files, ECS container credentials or EC2 instance metadata.' +
+                    (errors.length > 0 ? ' Errors: ' + errors.join('; ') : ''));
+            }
+            return credentials;
+        });
+    });
+}
+
+function fromEnvironment() {
+    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+        return Promise.resolve(null);
+    }
+    return Promise.resolve({
+        accessKey: process.env.AWS_ACCESS_KEY_ID,
+        secretKey: process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.AWS_SESSION_TOKEN,
+        expiration: null,
+        source: 'environment variables'
+    });
+}
+
+function fromWebIdentityTokenFileEnvironment() {
+    if (!process.env.AWS_WEB_IDENTITY_TOKEN_FILE || !process.env.AWS_ROLE_ARN) {
+        return Promise.resolve(null);
+    }
+    return fromWebIdentityTokenFile(process.env.AWS_WEB_IDENTITY_TOKEN_FILE, process.env.AWS_ROLE_ARN, process.env.AWS_ROLE_SESSION_NAME || DEFAULT_SESSION_NAME);
+}
+
+//Reads the profile from AWS_PROFILE (or "default") from ~/.aws/credentials and ~/.aws/config. Values in the
+//credentials file win, like in the AWS CLI.
+function fromSharedFiles() {
+    let profileName = process.env.AWS_PROFILE || process.env.AWS_DEFAULT_PROFILE || 'default';
+    let credentialsFile = process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+    let configFile = process.env.AWS_CONFIG_FILE || path.join(os.homedir(), '.aws', 'config');
+
+    let credentialsProfiles = parseIniFile(credentialsFile);
+    let configProfiles = parseIniFile(configFile);
+
+    //In the config file all profiles except default are named "profile <name>"
+    let configSection = profileName === 'default' ? 'default' : `profile ${profileName}`;
+    let profile = Object.assign({}, configProfiles[configSection] || configProfiles[profileName], credentialsProfiles[profileName]);
+    let source = `profile ${profileName} in shared credentials/config files`;
+    let explicit = !!(process.env.AWS_PROFILE || process.env.AWS_DEFAULT_PROFILE);
+
+    //A profile that was asked for by name must be used or fail, falling back to other credentials would deploy as
+    //someone else. Assuming a role from another profile and SSO aren't supported here.
+    let unsupported = ['source_profile', 'credential_source', 'sso_session', 'sso_start_url', 'sso_account_id', 'sso_role_name'].find(name => profile[name]);
+    if (explicit && unsupported) {
+        return Promise.reject(fatal(`Profile ${profileName} uses ${unsupported}, which is not supported. Use access keys, credential_process or web_identity_token_file in the profile, or set the credentials in environment variables`));
+    }
+
+    if (profile.aws_access_key_id && profile.aws_secret_access_key) {
+        return Promise.resolve({
+            accessKey: profile.aws_access_key_id,
+            secretKey: profile.aws_secret_access_key,
+            sessionToken: profile.aws_session_token,
+            expiration: null,
+            source
+        });
+    }
+    if (profile.credential_process) {
+        return fromCredentialProcess(profile.credential_process, source);
+    }
+    if (profile.web_identity_token_file && profile.role_arn) {
+        return fromWebIdentityTokenFile(profile.web_identity_token_file, profile.role_arn, profile.role_session_name || DEFAULT_SESSION_NAME);
+    }
+    if (explicit && Object.keys(profile).length === 0) {
+        return Promise.reject(fatal(`Profile ${profileName} was not found in ${credentialsFile} or ${configFile}`));
+    }
+    if (explicit && profile.role_arn) {
+        return Promise.reject(fatal(`Profile ${profileName} uses role_arn without web_identity_token_file, which is not supported`));
+    }
+    return Promise.resolve(null);
+}
+
+//Errors that stop the provider chain, instead of it moving on to the next provider.
+function fatal(message) {
+    let err = new Error(message);
+    err.fatal = true;
+    return err;
+}
+
+function parseIniFile(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        return {};
+    }
+
+    let sections = {}, current = null;
+    for (let line of content.split(/\r?\n/)) {
+        line = line.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) {
+            continue;
+        }
+        let sectionMatch = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+        if (sectionMatch) {
+            current = sections[sectionMatch[1]] = sections[sectionMatch[1]] || {};
+            continue;
+        }
+        let valueMatch = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (valueMatch && current) {
+            current[valueMatch[1].toLowerCase()] = valueMatch[2];
+        }
+    }
+    return sections;
+}
+
+//Runs an external command that prints credentials as JSON, see
+//https://docs.aws.amazon.com/cli/latest/userguide/cli-configure-sourcing-external.html
+function fromCredentialProcess(command, source) {
+    return new Promise((resolve, reject) => {
+        childProcess.exec(command, { timeout: 60 * 1000 }, (err, stdout) => {
+            if (err) {
+                reject(new Error(`credential_process "${command}" failed: ${err.message}`));
+                return;
+            }
+            try {
+                let data = JSON.parse(stdout);
+                if (data.Version !== 1) {
+                    throw new Error(`unsupported Version ${data.Version}`);
+                }
+                resolve({
+                    accessKey: data.AccessKeyId,
+                    secretKey: data.SecretAccessKey,
+                    sessionToken: data.SessionToken,
+                    expiration: data.Expiration ? new Date(data.Expiration) : null,
+                    source: `credential_process of ${source}`
+                });
+            } catch (parseErr) {
+                reject(new Error(`credential_process "${command}" returned invalid output: ${parseErr.message}`));
+            }
+        });
+    });
+}
+
+//Credentials for the task role when running in ECS (or CodeBuild, which works the same way).
+function fromContainer() {
+    let url, headers = {};
+    if (process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI) {
+        url = `http://169.254.170.2${process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI}`;
+    } else if (process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI) {
+        url = process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+    } else {
+        return Promise.resolve(null);
+    }
+
+    if (process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE) {
+        headers.Authorization = fs.readFileSync(process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE, 'utf8').trim();
+    } else if (process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN) {
+        headers.Authorization = process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN;
+    }
+
+    return httpRequest(url, 'GET', headers, 5000).then(result => {
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed to get container credentials from ${url}. Status: ${result.statusCode}. Message: ${result.data}`);
+        }
+        let data = JSON.parse(result.data);
+        return {
+            accessKey: data.AccessKeyId,
+            secretKey: data.SecretAccessKey,
+            sessionToken: data.Token,
+            expiration: data.Expiration ? new Date(data.Expiration) : null,
+            source: 'ECS container credentials'
+        };
+    });
+}
+
+//Credentials for the instance profile when running on EC2, using IMDSv2.
+function fromInstanceMetadata() {
+    if ((process.env.AWS_EC2_METADATA_DISABLED || '').toLowerCase() === 'true') {
+        return Promise.resolve(null);
+    }
+    let endpoint = (process.env.AWS_EC2_METADATA_SERVICE_ENDPOINT || 'http://169.254.169.254').replace(/\/$/, '');
+    let tokenHeader;
+
+    //Short timeout, if we're not on EC2 nobody answers and we don't want to hang there for minutes.
+    return httpRequest(`${endpoint}/latest/api/token`, 'PUT', { 'X-aws-ec2-metadata-token-ttl-seconds': '21600' }, 1000).catch(() => null).then(result => {
+        if (!result) {
+            return null;
+        }
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed to get EC2 instance metadata token. Status: ${result.statusCode}`);
+        }
+        tokenHeader = { 'X-aws-ec2-metadata-token': result.data };
+
+        return httpRequest(`${endpoint}/latest/meta-data/iam/security-credentials/`, 'GET', tokenHeader, 1000).then(result => {
+            if (result.statusCode !== 200) {
+                throw new Error(`No IAM role attached to the EC2 instance. Status: ${result.statusCode}`);
+            }
+            let roleName = result.data.split('\n')[0].trim();
+            return httpRequest(`${endpoint}/latest/meta-data/iam/security-credentials/${roleName}`, 'GET', tokenHeader, 1000);
+        }).then(result => {
+            let data = JSON.parse(result.data);
+            if (result.statusCode !== 200 || data.Code !== 'Success') {
+                throw new Error(`Failed to get EC2 instance credentials. Status: ${result.statusCode}, Code: ${data.Code}`);
+            }
+            return {
+                accessKey: data.AccessKeyId,
+                secretKey: data.SecretAccessKey,
+                sessionToken: data.Token,
+                expiration: data.Expiration ? new Date(data.Expiration) : null,
+                source: 'EC2 instance metadata'
+            };
+        });
+    });
+}
+
+//The metadata endpoints are plain http on link-local addresses, which must never go through a proxy, so they
+//don't use the request function in aws-api-request.
+function httpRequest(url, method, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        let req = http.request(url, { method, headers, timeout }, res => {
+            let chunks = [];
+            res.on('data', d => chunks.push(d));
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, data: Buffer.concat(chunks).toString() }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Request to ${url} timed out`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+//Gets temporary credentials for a role by exchanging a GitHub OIDC token with STS. The workflow must have
+//the "id-token: write" permission, otherwise GitHub doesn't give us the variables needed to request the token.
+function fromGitHubOidc(roleArn, sessionName = DEFAULT_SESSION_NAME, audience = 'sts.amazonaws.com') {
+    return getGitHubOidcToken(audience).then(token => assumeRoleWithWebIdentity(roleArn, token, sessionName, 'GitHub OIDC token'));
+}
+
+//Same as fromGitHubOidc, except the token is read from a file, like the AWS SDKs do when AWS_WEB_IDENTITY_TOKEN_FILE
+//and AWS_ROLE_ARN are set (e.g. on EKS).
+function fromWebIdentityTokenFile(tokenFile, roleArn, sessionName = DEFAULT_SESSION_NAME) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(tokenFile, 'utf8', (err, data) => err ? reject(err) : resolve(data.trim()));
+    }).then(token => assumeRoleWithWebIdentity(roleArn, token, sessionName, `web identity token file ${tokenFile}`));
+}
+
+function getGitHubOidcToken(audience) {
+    let requestUrl = process.env.ACTIONS_ID_TOKEN_REQUEST_URL,
+        requestToken = process.env.ACTIONS_ID_TOKEN_REQUEST_TOKEN;
+
+    if (!requestUrl || !requestToken) {
+        return Promise.reject(new Error('Could not get a GitHub OIDC token, ACTIONS_ID_TOKEN_REQUEST_URL is not set. Does the workflow have the "id-token: write" permission?'));
+    }
+
+    let url = new URL(requestUrl);
+    url.searchParams.set('audience', audience);
+
+    return awsApiRequest.requestUrl(url.toString(), 'GET', { Authorization: `bearer ${requestToken}`, Accept: 'application/json' }).then(result => {
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed to get GitHub OIDC token. Status: ${result.statusCode}. Message: ${result.data}`);
+        }
+        //GitHub sends "application/json; charset=utf-8" so the response isn't parsed for us
+        let data = typeof result.data === 'object' && !Buffer.isBuffer(result.data) ? result.data : JSON.parse(result.data.toString());
+        return data.value;
+    });
+}
+
+function assumeRoleWithWebIdentity(roleArn, webIdentityToken, sessionName, tokenSource) {
+    return awsApiRequest({
+        service: 'sts',
+        unsigned: true,
+        querystring: {
+            Action: 'AssumeRoleWithWebIdentity',
+            Version: '2011-06-15',
+            RoleArn: roleArn,
+            RoleSessionName: sessionName,
+            WebIdentityToken: webIdentityToken
+        }
+    }).then(result => {
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed to assume role ${roleArn} with web identity. Status: ${result.statusCode}. Message: ${errorMessage(result)}`);
+        }
+
+        let credentials;
+        if (result.headers['content-type'] === 'application/json') {
+            credentials = result.data.AssumeRoleWithWebIdentityResponse.AssumeRoleWithWebIdentityResult.Credentials;
+        } else {
+            let xml = result.data.toString();
+            credentials = {};
+            for (let key of ['AccessKeyId', 'SecretAccessKey', 'SessionToken', 'Expiration']) {
+                let match = xml.match(new RegExp(`<${key}>([^<]*)</${key}>`));
+                credentials[key] = match && match[1];
+            }
+        }
+
+        return {
+            accessKey: credentials.AccessKeyId,
+            secretKey: credentials.SecretAccessKey,
+            sessionToken: credentials.SessionToken,
+            expiration: parseExpiration(credentials.Expiration),
+            source: `role ${roleArn} assumed with ${tokenSource}`
+        };
+    });
+}
+
+function parseExpiration(expiration) {
+    if (!expiration) {
+        return null;
+    }
+    //JSON responses have seconds since epoch, XML ones an ISO timestamp
+    return typeof expiration === 'number' ? new Date(expiration * 1000) : new Date(expiration);
+}
+
+function errorMessage(result) {
+    if (result.data && result.data.Error) {
+        return `${result.data.Error.Code}: ${result.data.Error.Message}`;
+    }
+    return result.data;
+}
+
+module.exports = { cached, defaultProviderChain, fromGitHubOidc, fromWebIdentityTokenFile };
@@ -1,476 +1,494 @@
 #!/usr/bin/env node
 // Author: Einar Egilsson, https://github.com/einaregilsson/beanstalk-deploy
 
+//The GitHub Action and command line program. They read the inputs, and the actual work is done by index.js, which can
+//also be used on its own.
+const beanstalkDeploy = require('./index');
 const awsApiRequest = require('./aws-api-request');
-const fs = require('fs');
+const awsCredentials = require('./aws-credentials');
+const optionSettingsHelper = require('./option-settings');
+const versionMetadata = require('./version-metadata');
+const actionReport = require('./action-report');
+const cli = require('./cli');
+const logger = require('./logger');
 
 const IS_GITHUB_ACTION = !!process.env.GITHUB_ACTIONS;
 
-if (IS_GITHUB_ACTION) {
-    console.error = msg => console.log(`::error::${msg}`);
-    console.warn = msg => console.log(`::warning::${msg}`);
-}
+logger.configure({ githubActions: IS_GITHUB_ACTION });
 
-function createStorageLocation() {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: { Operation: 'CreateStorageLocation', Version: '2010-12-01' }
-    });
+function strip(val) {
+    //Strip leadig or trailing whitespace
+    return (val || '').replace(/^\s*|\s*$/g, '');
 }
 
-function checkIfFileExistsInS3(bucket, s3Key) {
-
-    return awsApiRequest({
-        service: 's3',
-        host: `${bucket}.s3.${awsApiRequest.region}.amazonaws.com`,
-        path: s3Key,
-        method: 'HEAD'
-    });
+//Settings later in the list win, so environment properties can override values from the option settings file.
+function mergeOptionSettings(...lists) {
+    let merged = {};
+    for (let setting of [].concat(...lists)) {
+        merged[`${setting.ResourceName || ''}/${setting.Namespace}/${setting.OptionName}`] = setting;
+    }
+    return Object.values(merged);
 }
 
-function readFile(path) {
-    return new Promise((resolve, reject) => {
-        fs.readFile(path, (err, data) => {
-            if (err) {
-                reject(err);
-            }
-            resolve(data);
-        });
-    });
+function splitList(val) {
+    //Lists can be separated by commas or newlines, so they work both on one line and as a multiline YAML string
+    return (val || '').split(/[,\n]/).map(strip).filter(item => item.length > 0);
 }
 
-function uploadFileToS3(bucket, s3Key, filebuffer) {
-    return awsApiRequest({
-        service: 's3',
-        host: `${bucket}.s3.${awsApiRequest.region}.amazonaws.com`,
-        path: s3Key,
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/octet-stream' },
-        payload: filebuffer
-    });
+//Tags are given as key=value pairs, and passed on as { Key, Value }. Exits if one of them has no key.
+function parseTags(name, tags) {
+    let invalid = tags.filter(tag => tag.indexOf('=') < 1);
+    if (invalid.length > 0) {
+        logger.error(`Deployment failed: "${name}" must be a list of key=value pairs, got ${invalid.join(', ')}`);
+        process.exit(2);
+    }
+    return tags.map(tag => ({ Key: strip(tag.substr(0, tag.indexOf('='))), Value: strip(tag.substr(tag.indexOf('=') + 1)) }));
 }
 
-function createBeanstalkVersion(application, bucket, s3Key, versionLabel, versionDescription) {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: {
-            Operation: 'CreateApplicationVersion',
-            Version: '2010-12-01',
-            ApplicationName: application,
-            VersionLabel: versionLabel,
-            Description: versionDescription,
-            'SourceBundle.S3Bucket': bucket,
-            'SourceBundle.S3Key': s3Key.substr(1) //Don't want leading / here
-        }
-    });
-}
+//The action gets its inputs as INPUT_<NAME> environment variables, the command line program from flags, environment
+//variables and a config file. After that they work the same.
+function readInputs() {
+    if (IS_GITHUB_ACTION) {
+        return { command: 'deploy', input: name => process.env['INPUT_' + name.toUpperCase()] };
+    }
 
-function deployBeanstalkVersion(application, environmentName, versionLabel) {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: {
-            Operation: 'UpdateEnvironment',
-            Version: '2010-12-01',
-            ApplicationName: application,
-            EnvironmentName: environmentName,
-            VersionLabel: versionLabel
-        }
-    });
+    let parsed;
+    try {
+        parsed = cli.parseArguments(process.argv.slice(2), process.env);
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(2);
+    }
+    if (parsed.command === 'help' || (parsed.command === 'deploy' && parsed.empty)) {
+        cli.printHelp();
+        process.exit(parsed.command === 'help' ? 0 : 1);
+    }
+    if (parsed.command === 'version') {
+        process.stdout.write(require('./package.json').version + '\n');
+        process.exit(0);
+    }
+    return { command: parsed.command, input: name => parsed.inputs[name] };
 }
 
-function describeEvents(application, environmentName, startTime) {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: {
-            Operation: 'DescribeEvents',
-            Version: '2010-12-01',
-            ApplicationName: application,
-            Severity: 'TRACE',
-            EnvironmentName: environmentName,
-            StartTime: startTime.toISOString().replace(/(-|:|\.\d\d\d)/g, '')
-        }
-    });
-}
+function main() {
+    let { command, input } = readInputs();
 
-function describeEnvironments(application, environmentName) {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: {
-            Operation: 'DescribeEnvironments',
-            Version: '2010-12-01',
-            ApplicationName: application,
-            'EnvironmentNames.members.1': environmentName //Yes, that's the horrible way to pass an array...
-        }
-    });
-}
+    try {
+        //Debug output is on by default when the workflow is re-run with debug logging enabled
+        logger.configure({
+            format: strip(input('log_format')) || 'text',
+            level: strip(input('log_level')) || (process.env.RUNNER_DEBUG === '1' ? 'debug' : 'info')
+        });
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(2);
+    }
+
+    let application,
+        environmentNames,
+        versionLabel,
+        versionDescription,
+        file,
+        existingBucketName = null,
+        useExistingVersionIfAvailable,
+        rollbackOnFailure = false,
+        deployInParallel = false,
+        productionCname = null,
+        createEnvironment = null,
+        terminateEnvironment = false,
+        cleanup = null,
+        smokeTest = null,
+        fetchLogs = { savePath: null },
+        dryRun = false,
+        deploymentTimeout = null,
+        waitForReadySeconds = 0,
+        roleToAssume = null,
+        optionSettings = [],
+        optionsToRemove = [],
+        waitForRecoverySeconds = 30,
+        multipartThresholdMb = 100,
+        s3KeyPrefix = null,
+        s3ServerSideEncryption = null,
+        s3KmsKeyId = null,
+        s3Tags = [],
+        s3StorageClass = null,
+        versionTags = [],
+        githubTags = false,
+        waitUntilDeploymentIsFinished = true; //Whether or not to wait for the deployment to complete...
 
-function getApplicationVersion(application, versionLabel) {
-    return awsApiRequest({
-        service: 'elasticbeanstalk',
-        querystring: {
-            Operation: 'DescribeApplicationVersions',
-            Version: '2010-12-01',
-            ApplicationName: application,
-            'VersionLabels.members.1': versionLabel //Yes, that's the horrible way to pass an array...
+    application = strip(input('application_name'));
+    environmentNames = splitList(input('environment_name'));
+    versionLabel = strip(input('version_label'));
+    versionDescription = strip(input('version_description'));
+    file = strip(input('deployment_package'));
+    versionTags = splitList(input('version_tags'));
+    githubTags = (input('version_github_tags') || '').toLowerCase() == 'true';
+
+    awsApiRequest.maxBackoffRetries = strip(input('max_backoff_retries'));
+    if (input('request_timeout')) {
+        awsApiRequest.requestTimeoutSeconds = parseInt(input('request_timeout'));
+        if (isNaN(awsApiRequest.requestTimeoutSeconds) || awsApiRequest.requestTimeoutSeconds <= 0) {
+            logger.error(`Deployment failed: "request_timeout" must be a positive number of seconds, got ${input('request_timeout')}`);
+            process.exit(2);
         }
-    });
-}
+    }
+    awsApiRequest.accessKey = strip(input('aws_access_key'));
+    awsApiRequest.secretKey = strip(input('aws_secret_key'));
+    awsApiRequest.sessionToken = strip(input('aws_session_token'));
+    awsApiRequest.region = strip(input('region'));
 
-function expect(status, result, extraErrorMessage) {
-    if (!result) {
-        throw new Error(`Null result received when expecting ${status}`);
+    if (input('endpoint_url')) {
+        awsApiRequest.endpointUrl = strip(input('endpoint_url'));
+    }
+    awsApiRequest.endpointUrls = {
+        s3: strip(input('s3_endpoint_url')) || undefined,
+        elasticbeanstalk: strip(input('beanstalk_endpoint_url')) || undefined,
+        sts: strip(input('sts_endpoint_url')) || undefined
+    };
+    awsApiRequest.s3ForcePathStyle = (input('s3_force_path_style') || '').toLowerCase() == 'true';
+
+    if (input('role_to_assume')) {
+        roleToAssume = strip(input('role_to_assume'));
+        let roleSessionName = strip(input('role_session_name')) || undefined;
+        awsApiRequest.credentialProvider = awsCredentials.cached(() => awsCredentials.fromGitHubOidc(roleToAssume, roleSessionName));
     }
 
-    if (!result.statusCode) {
-        throw new Error(`Provided result ${result} is missing a status code when expecting ${status}`);
+    if (input('existing_bucket_name')) {
+        existingBucketName = strip(input('existing_bucket_name'));
     }
 
-    if (status !== result.statusCode) {
-        if (extraErrorMessage) {
-            console.log(extraErrorMessage);
-        }
-        if (result.headers['content-type'] !== 'application/json') {
-            throw new Error(`Status: ${result.statusCode}. Message: ${result.data}`);
-        } else {
-            throw new Error(`Status: ${result.statusCode}. Code: ${result.data.Error.Code}, Message: ${result.data.Error.Message}`);
-        }
+    if ((input('wait_for_deployment') || '').toLowerCase() == 'false') {
+        waitUntilDeploymentIsFinished = false;
     }
-}
 
-//Uploads zip file, creates new version and deploys it
-function deployNewVersion(application, environmentName, versionLabel, versionDescription, file, bucket, waitUntilDeploymentIsFinished, waitForRecoverySeconds) {
-    //Lots of characters that will mess up an S3 filename, so only allow alphanumeric, - and _ in the actual file name.
-    //The version label can still contain all that other stuff though.
-    let s3filename = versionLabel.replace(/[^a-zA-Z0-9-_]/g, '-');
+    if (input('multipart_upload_threshold')) {
+        multipartThresholdMb = parseInt(input('multipart_upload_threshold'));
+    }
 
-    let s3Key = `/${application}/${s3filename}.zip`;
-    let deployStart, fileBuffer;
+    s3KeyPrefix = strip(input('s3_key_prefix')).replace(/^\/+|\/+$/g, '') || null;
+    s3ServerSideEncryption = strip(input('s3_server_side_encryption')) || null;
+    s3KmsKeyId = strip(input('s3_kms_key_id')) || null;
+    s3StorageClass = strip(input('s3_storage_class')).toUpperCase() || null;
+    s3Tags = splitList(input('s3_object_tags'));
+
+    if (input('deployment_timeout')) {
+        deploymentTimeout = {
+            seconds: parseInt(input('deployment_timeout')),
+            abort: (input('abort_on_timeout') || '').toLowerCase() == 'true'
+        };
+    }
 
-    readFile(file).then(result => {
-        fileBuffer = result;
+    if ((input('wait_for_environment_ready') || '').toLowerCase() == 'true') {
+        waitForReadySeconds = input('environment_ready_timeout') ? parseInt(input('environment_ready_timeout')) : 30 * 60;
+    }
 
-        if (bucket === null) {
-            console.log(`No existing bucket name given, creating/requesting storage location`);
-            return createStorageLocation();
-        }
-    }).then(result => {
-        if (bucket === null) {
-            expect(200, result, 'Failed to create storage location');
-            bucket = result.data.CreateStorageLocationResponse.CreateStorageLocationResult.S3Bucket;
+    if (input('wait_for_environment_recovery')) {
+        waitForRecoverySeconds = parseInt(input('wait_for_environment_recovery'));
+    }
+    useExistingVersionIfAvailable = input('use_existing_version_if_available') == 'true' || input('use_existing_version_if_available') == 'True';
+    rollbackOnFailure = (input('rollback_on_failure') || '').toLowerCase() == 'true';
+    deployInParallel = (input('deploy_in_parallel') || '').toLowerCase() == 'true';
+
+    try {
+        if (input('option_settings_file')) {
+            let fromFile = optionSettingsHelper.readOptionSettingsFile(strip(input('option_settings_file')));
+            optionSettings = fromFile.optionSettings;
+            optionsToRemove = fromFile.optionsToRemove;
         }
+        optionSettings = mergeOptionSettings(optionSettings, optionSettingsHelper.parseEnvironmentProperties(input('environment_properties')));
+        optionsToRemove = optionsToRemove.concat(optionSettingsHelper.parseOptionsToRemove(splitList(input('options_to_remove'))));
+    } catch (err) {
+        logger.error(`Deployment failed: ${err.message}`);
+        process.exit(2);
+    }
 
-        console.log(`Uploading file to bucket ${bucket}`);
+    if (input('production_cname')) {
+        productionCname = strip(input('production_cname'));
+    }
 
-        return checkIfFileExistsInS3(bucket, s3Key);
-    }).then(result => {
-        if (result.statusCode === 200) {
-            throw new Error(`Version ${versionLabel} already exists in S3!`);
-        }
-        expect(404, result);
-        return uploadFileToS3(bucket, s3Key, fileBuffer);
-    }).then(result => {
-        expect(200, result);
-        console.log(`New build successfully uploaded to S3, bucket=${bucket}, key=${s3Key}`);
-        return createBeanstalkVersion(application, bucket, s3Key, versionLabel, versionDescription);
-    }).then(result => {
-        expect(200, result);
-        console.log(`Created new application version ${versionLabel} in Beanstalk.`);
-        if (!environmentName) {
-            console.log(`No environment name given, so exiting now without deploying the new version ${versionLabel} anywhere.`);
-            process.exit(0);
-        }
-        deployStart = new Date();
-        console.log(`Starting deployment of version ${versionLabel} to environment ${environmentName}`);
-        return deployBeanstalkVersion(application, environmentName, versionLabel, waitForRecoverySeconds);
-    }).then(result => {
-        expect(200, result);
-
-        if (waitUntilDeploymentIsFinished) {
-            console.log('Deployment started, "wait_for_deployment" was true...\n');
-            return waitForDeployment(application, environmentName, versionLabel, deployStart, waitForRecoverySeconds);
-        } else {
-            console.log('Deployment started, parameter "wait_for_deployment" was false, so action is finished.');
-            console.log('**** IMPORTANT: Please verify manually that the deployment succeeds!');
-            process.exit(0);
+    if ((input('create_environment_if_missing') || '').toLowerCase() == 'true') {
+        createEnvironment = {
+            solutionStackName: strip(input('solution_stack_name')),
+            platformArn: strip(input('platform_arn')),
+            tier: strip(input('environment_tier')) || 'WebServer',
+            cnamePrefix: strip(input('cname_prefix'))
+        };
+    }
+    terminateEnvironment = (input('terminate_environment') || '').toLowerCase() == 'true';
+    dryRun = (input('dry_run') || '').toLowerCase() == 'true';
+
+    if (input('smoke_test_paths')) {
+        try {
+            smokeTest = {
+                paths: splitList(input('smoke_test_paths')),
+                baseUrl: strip(input('smoke_test_base_url')) || null,
+                expectedStatus: splitList(input('smoke_test_expected_status') || '200').map(code => parseInt(code)),
+                bodyRegex: input('smoke_test_body_regex') ? new RegExp(strip(input('smoke_test_body_regex'))) : null,
+                retries: input('smoke_test_retries') ? parseInt(input('smoke_test_retries')) : 5,
+                timeoutSeconds: input('smoke_test_timeout') ? parseInt(input('smoke_test_timeout')) : 10,
+                retryDelaySeconds: 10
+            };
+        } catch (err) {
+            logger.error(`Deployment failed: Invalid "smoke_test_body_regex": ${err.message}`);
+            process.exit(2);
         }
+    }
 
-    }).then(envAfterDeployment => {
-        if (envAfterDeployment.Health === 'Green') {
-            console.log('Environment update successful!');
-            process.exit(0);
-        } else {
-            console.warn(`Environment update finished, but environment health is: ${envAfterDeployment.Health}, HealthStatus: ${envAfterDeployment.HealthStatus}`);
-            process.exit(1);
-        }
-    }).catch(err => {
-        console.error(`Deployment failed: ${err}`);
+    if ((input('fetch_logs_on_failure') || '').toLowerCase() == 'false') {
+        fetchLogs = null;
+    } else if (input('logs_save_path')) {
+        fetchLogs = { savePath: strip(input('logs_save_path')) };
+    }
+
+    if (input('cleanup_keep_versions') || input('cleanup_max_age_days')) {
+        cleanup = {
+            keepVersions: input('cleanup_keep_versions') ? parseInt(input('cleanup_keep_versions')) : null,
+            maxAgeDays: input('cleanup_max_age_days') ? parseInt(input('cleanup_max_age_days')) : null,
+            deleteSourceBundle: (input('cleanup_delete_source_bundle') || '').toLowerCase() == 'true',
+            dryRun: (input('cleanup_dry_run') || '').toLowerCase() == 'true'
+        };
+    }
+
+    if (!awsApiRequest.region) {
+        logger.error('Deployment failed: Region not specified!');
         process.exit(2);
-    });
-}
+    }
+    //Without access keys the command line program looks for credentials the same way the AWS CLI does
+    if (IS_GITHUB_ACTION && !awsApiRequest.accessKey && !awsApiRequest.credentialProvider) {
+        logger.error('Deployment failed: AWS Access Key not specified!');
+        process.exit(2);
+    }
+    if (IS_GITHUB_ACTION && !awsApiRequest.secretKey && !awsApiRequest.credentialProvider) {
+        logger.error('Deployment failed: AWS Secret Key not specified!');
+        process.exit(2);
+    }
 
-//Deploys existing version in EB
-function deployExistingVersion(application, environmentName, versionLabel, waitUntilDeploymentIsFinished, waitForRecoverySeconds) {
-    let deployStart = new Date();
-    console.log(`Deploying existing version ${versionLabel}`);
+    if (command === 'status') {
+        printStatus(application, environmentNames);
+        return;
+    }
+    if (command === 'list-versions') {
+        printVersions(application);
+        return;
+    }
 
-    deployBeanstalkVersion(application, environmentName, versionLabel).then(result => {
+    logger.info('Beanstalk-Deploy: GitHub Action for deploying to Elastic Beanstalk.');
+    logger.info('https://github.com/einaregilsson/beanstalk-deploy');
+    logger.info('');
 
-        expect(200, result, "Failed to deploy an existing version");
+    let githubValues = versionMetadata.githubValues(process.env);
+    try {
+        versionLabel = versionMetadata.applyTemplate(versionLabel || '', githubValues);
+        versionDescription = versionMetadata.applyTemplate(versionDescription, githubValues);
+    } catch (err) {
+        logger.error(`Deployment failed: ${err.message}`);
+        process.exit(2);
+    }
 
-        if (waitUntilDeploymentIsFinished) {
-            console.log('Deployment started, "wait_for_deployment" was true...\n');
-            return waitForDeployment(application, environmentName, versionLabel, deployStart, waitForRecoverySeconds);
-        } else {
-            console.log('Deployment started, parameter "wait_for_deployment" was false, so action is finished.');
-            console.log('**** IMPORTANT: Please verify manually that the deployment succeeds!');
-            process.exit(0);
-        }
-    }).then(envAfterDeployment => {
-        if (envAfterDeployment.Health === 'Green') {
-            console.log('Environment update successful!');
-            process.exit(0);
-        } else {
-            console.warn(`Environment update finished, but environment health is: ${envAfterDeployment.Health}, HealthStatus: ${envAfterDeployment.HealthStatus}`);
-            process.exit(1);
+    if (terminateEnvironment) {
+        if (environmentNames.length === 0) {
+            logger.error('Deployment failed: "terminate_environment" is true, but no environment to terminate was given in "environment_name"');
+            process.exit(2);
         }
-    }).catch(err => {
-        console.error(`Deployment failed: ${err}`);
+    } else if (!versionLabel) {
+        logger.error('Deployment failed: Version label not specified!');
         process.exit(2);
-    });
-}
-
+    }
 
-function strip(val) {
-    //Strip leadig or trailing whitespace
-    return (val || '').replace(/^\s*|\s*$/g, '');
-}
+    //Tags from version_tags win over the automatic ones with the same key
+    versionTags = parseTags('version_tags', versionTags);
+    versionTags = (githubTags ? versionMetadata.githubTags(githubValues) : []).filter(tag => !versionTags.some(other => other.Key === tag.Key)).concat(versionTags);
+
+    s3Tags = parseTags('s3_object_tags', s3Tags);
+
+    if (terminateEnvironment) {
+        logger.group('Input parameters were:');
+        logger.info('         Application: ' + application);
+        logger.info('         Environment: ' + environmentNames.join(', '));
+        logger.info('          AWS Region: ' + awsApiRequest.region);
+        logger.info('                Mode: Terminate environment');
+        logger.info(' Wait for deployment: ' + waitUntilDeploymentIsFinished);
+        if (dryRun) {
+            logger.info('             Dry run: true');
+        }
+        logger.info('');
+        logger.endGroup();
+        beanstalkDeploy.terminateEnvironments({ application, environmentNames, waitUntilTerminated: waitUntilDeploymentIsFinished, dryRun }).then(() => {
+            process.exit(0);
+        }).catch(err => {
+            logger.error(`Termination failed: ${err.message}`);
+            process.exit(2);
+        });
+        return;
+    }
 
-function main() {
+    logger.group('Input parameters were:');
+    logger.info('         Application: ' + application);
+    logger.info('         Environment: ' + environmentNames.join(', '));
+    logger.info('       Version Label: ' + versionLabel);
+    logger.info(' Version description: ' + versionDescription);
+    if (versionTags.length > 0) {
+        logger.info('        Version tags: ' + versionTags.map(tag => `${tag.Key}=${tag.Value}`).join(', '));
+    }
+    logger.info('          AWS Region: ' + awsApiRequest.region);
+    logger.info('                File: ' + file);
+    logger.info('Existing bucket Name: ' + existingBucketName);
+    if (s3KeyPrefix || s3ServerSideEncryption || s3KmsKeyId || s3Tags.length > 0 || s3StorageClass) {
+        logger.info('   S3 upload options: ' + [s3KeyPrefix ? 'key prefix ' + s3KeyPrefix : null, s3ServerSideEncryption ? 'encryption ' + s3ServerSideEncryption : null,
+            s3KmsKeyId ? 'KMS key ' + s3KmsKeyId : null, s3StorageClass ? 'storage class ' + s3StorageClass : null,
+            s3Tags.length > 0 ? 'tags ' + s3Tags.map(tag => `${tag.Key}=${tag.Value}`).join(', ') : null].filter(x => x).join(', '));
+    }
+    if (roleToAssume) {
+        logger.info('      Role to assume: ' + roleToAssume);
+    } else if (!awsApiRequest.accessKey) {
+        logger.info('     AWS Credentials: Default credential provider chain');
+    } else {
+        logger.info('      AWS Access Key: ' + awsApiRequest.accessKey.length + ' characters long, starts with ' + awsApiRequest.accessKey.charAt(0));
+        logger.info('      AWS Secret Key: ' + awsApiRequest.secretKey.length + ' characters long, starts with ' + awsApiRequest.secretKey.charAt(0));
+    }
+    if (awsApiRequest.endpointUrl) {
+        logger.info('        Endpoint URL: ' + awsApiRequest.endpointUrl);
+    }
+    for (let service of Object.keys(awsApiRequest.endpointUrls || {})) {
+        if (awsApiRequest.endpointUrls[service]) {
+            logger.info(`${service} endpoint URL: `.padStart(22) + awsApiRequest.endpointUrls[service]);
+        }
+    }
+    if (dryRun) {
+        logger.info('             Dry run: true, nothing will be changed');
+    }
+    logger.info(' Wait for deployment: ' + waitUntilDeploymentIsFinished);
+    logger.info('  Recovery wait time: ' + waitForRecoverySeconds);
+    logger.info(' Rollback on failure: ' + rollbackOnFailure);
+    if (waitForReadySeconds) {
+        logger.info('Wait for Ready state: ' + waitForReadySeconds + ' seconds');
+    }
+    if (deploymentTimeout) {
+        logger.info('  Deployment timeout: ' + deploymentTimeout.seconds + ' seconds' + (deploymentTimeout.abort ? ', then abort the update' : ''));
+    }
+    if (optionSettings.length > 0 || optionsToRemove.length > 0) {
+        logger.info('     Option settings: ' + optionSettings.length + ' to set, ' + optionsToRemove.length + ' to remove');
+    }
+    if (createEnvironment) {
+        logger.info('   Create if missing: ' + (createEnvironment.platformArn || createEnvironment.solutionStackName) + ', ' + createEnvironment.tier + (createEnvironment.cnamePrefix ? ', CNAME prefix ' + createEnvironment.cnamePrefix : ''));
+    }
+    if (cleanup) {
+        logger.info('     Version cleanup: ' + [cleanup.keepVersions !== null ? 'keep ' + cleanup.keepVersions + ' versions' : null, cleanup.maxAgeDays !== null ? 'keep ' + cleanup.maxAgeDays + ' days' : null,
+            cleanup.deleteSourceBundle ? 'delete source bundles' : null, cleanup.dryRun ? 'dry run' : null].filter(x => x).join(', '));
+    }
+    if (smokeTest) {
+        logger.info('         Smoke tests: ' + smokeTest.paths.join(', ') + (smokeTest.baseUrl ? ' on ' + smokeTest.baseUrl : '') + ', expecting ' + smokeTest.expectedStatus.join(' or '));
+    }
+    if (productionCname) {
+        logger.info('    Production CNAME: ' + productionCname);
+    } else if (environmentNames.length > 1) {
+        logger.info('  Deploy in parallel: ' + deployInParallel);
+    }
+    logger.info('');
+    logger.endGroup();
 
-    let application,
-        environmentName,
+    let options = {
+        application,
+        environmentNames,
         versionLabel,
         versionDescription,
-        region,
-        file,
-        existingBucketName = null,
+        versionTags,
+        file: file || null,
+        bucket: existingBucketName,
         useExistingVersionIfAvailable,
-        waitForRecoverySeconds = 30,
-        waitUntilDeploymentIsFinished = true; //Whether or not to wait for the deployment to complete...
-
-    if (IS_GITHUB_ACTION) { //Running in GitHub Actions
-        application = strip(process.env.INPUT_APPLICATION_NAME);
-        environmentName = strip(process.env.INPUT_ENVIRONMENT_NAME);
-        versionLabel = strip(process.env.INPUT_VERSION_LABEL);
-        versionDescription = strip(process.env.INPUT_VERSION_DESCRIPTION);
-        file = strip(process.env.INPUT_DEPLOYMENT_PACKAGE);
-
-        awsApiRequest.maxBackoffRetries = strip(process.env.INPUT_MAX_BACKOFF_RETRIES);
-        awsApiRequest.accessKey = strip(process.env.INPUT_AWS_ACCESS_KEY);
-        awsApiRequest.secretKey = strip(process.env.INPUT_AWS_SECRET_KEY);
-        awsApiRequest.sessionToken = strip(process.env.INPUT_AWS_SESSION_TOKEN);
-        awsApiRequest.region = strip(process.env.INPUT_REGION);
-
-        if (process.env.INPUT_EXISTING_BUCKET_NAME) {
-            existingBucketName = strip(process.env.INPUT_EXISTING_BUCKET_NAME);
-        }
-
-        if ((process.env.INPUT_WAIT_FOR_DEPLOYMENT || '').toLowerCase() == 'false') {
-            waitUntilDeploymentIsFinished = false;
+        upload: {
+            multipartThreshold: multipartThresholdMb * 1024 * 1024,
+            keyPrefix: s3KeyPrefix,
+            serverSideEncryption: s3ServerSideEncryption,
+            kmsKeyId: s3KmsKeyId,
+            tags: s3Tags,
+            storageClass: s3StorageClass
+        },
+        waitUntilDeploymentIsFinished, waitForRecoverySeconds, rollbackOnFailure, deployInParallel, productionCname, optionSettings, optionsToRemove,
+        createEnvironment, cleanup, smokeTest, fetchLogs, deploymentTimeout, waitForReadySeconds, dryRun
+    };
+
+    if (command === 'create-version') {
+        if (!file) {
+            logger.error('Deployment failed: "deployment_package" is required to create a version');
+            process.exit(2);
         }
+        beanstalkDeploy.createVersion(options).then(result => {
+            logger.record(result.dryRun ? 'plan' : 'result', result);
+            process.exit(result.dryRun && result.blocked.length > 0 ? 2 : 0);
+        }).catch(err => {
+            logger.error(`Deployment failed: ${err.message}`);
+            process.exit(err.exitCode || 2);
+        });
+        return;
+    }
 
-        if (process.env.INPUT_WAIT_FOR_ENVIRONMENT_RECOVERY) {
-            waitForRecoverySeconds = parseInt(process.env.INPUT_WAIT_FOR_ENVIRONMENT_RECOVERY);
+    beanstalkDeploy.deploy(options).then(result => {
+        if (result.dryRun) {
+            logger.record('plan', result);
+            process.exit(result.blocked.length > 0 ? 2 : 0);
         }
-        useExistingVersionIfAvailable = process.env.INPUT_USE_EXISTING_VERSION_IF_AVAILABLE == 'true' || process.env.INPUT_USE_EXISTING_VERSION_IF_AVAILABLE == 'True';
-
-    } else { //Running as command line script
-        if (process.argv.length < 6) {
-            console.log('\nbeanstalk-deploy: Deploy a zip file to AWS Elastic Beanstalk');
-            console.log('https://github.com/einaregilsson/beanstalk-deploy\n');
-            console.log('Usage: beanstalk-deploy.js <application> <environment> <versionLabel> <region> [<filename>]\n');
-            console.log('Environment variables AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY must be defined for the program to work.');
-            console.log('If <filename> is skipped the script will attempt to deploy an existing version named <versionLabel>.\n');
-            process.exit(1);
+        exitWithReport(result, result.exitCode);
+    }).catch(err => {
+        //A DeploymentError has already been logged as it happened, with the details for each environment
+        if (!(err instanceof beanstalkDeploy.DeploymentError)) {
+            logger.error(`Deployment failed: ${err.message}`);
         }
+        exitWithReport(err.result, err.exitCode || 2);
+    });
+}
 
-        [application, environmentName, versionLabel, region, file] = process.argv.slice(2);
-        versionDescription = ''; //Not available for this.
-        useExistingVersionIfAvailable = false; //This option is not available in the console version
-
-        awsApiRequest.accessKey = strip(process.env.AWS_ACCESS_KEY_ID);
-        awsApiRequest.secretKey = strip(process.env.AWS_SECRET_ACCESS_KEY);
-        awsApiRequest.sessionToken = strip(process.env.AWS_SESSION_TOKEN);
-        awsApiRequest.region = strip(region);
-    }
-
-    console.log('Beanstalk-Deploy: GitHub Action for deploying to Elastic Beanstalk.');
-    console.log('https://github.com/einaregilsson/beanstalk-deploy');
-    console.log('');
-
-    if (!awsApiRequest.region) {
-        console.error('Deployment failed: Region not specified!');
-        process.exit(2);
-    }
-    if (!awsApiRequest.accessKey) {
-        console.error('Deployment failed: AWS Access Key not specified!');
-        process.exit(2);
-    }
-    if (!awsApiRequest.secretKey) {
-        console.error('Deployment failed: AWS Secret Key not specified!');
-        process.exit(2);
+//Exits once the action outputs and job summary have been written. There's no result if the options were invalid.
+function exitWithReport(result, exitCode) {
+    logger.record('result', Object.assign({}, result, { exitCode }), exitCode === 0 ? 'info' : 'error');
+    if (result && IS_GITHUB_ACTION && (process.env.GITHUB_OUTPUT || process.env.GITHUB_STEP_SUMMARY)) {
+        actionReport.writeReport(result);
     }
+    process.exit(exitCode);
+}
 
-    if (versionDescription.length > 200) {
-        versionDescription = versionDescription.substr(0, 185) + ' [...TRUNCATED]';
-    }
-
-    console.log(' ***** Input parameters were: ***** ');
-    console.log('         Application: ' + application);
-    console.log('         Environment: ' + environmentName);
-    console.log('       Version Label: ' + versionLabel);
-    console.log(' Version description: ' + versionDescription);
-    console.log('          AWS Region: ' + awsApiRequest.region);
-    console.log('                File: ' + file);
-    console.log('Existing bucket Name: ' + existingBucketName);
-    console.log('      AWS Access Key: ' + awsApiRequest.accessKey.length + ' characters long, starts with ' + awsApiRequest.accessKey.charAt(0));
-    console.log('      AWS Secret Key: ' + awsApiRequest.secretKey.length + ' characters long, starts with ' + awsApiRequest.secretKey.charAt(0));
-    console.log(' Wait for deployment: ' + waitUntilDeploymentIsFinished);
-    console.log('  Recovery wait time: ' + waitForRecoverySeconds);
-    console.log('');
-
-    getApplicationVersion(application, versionLabel).then(result => {
-
-        expect(200, result);
-
-        let versionsList = result.data.DescribeApplicationVersionsResponse.DescribeApplicationVersionsResult.ApplicationVersions;
-        let versionAlreadyExists = versionsList.length === 1;
-
-        if (versionAlreadyExists) {
-
-            if (!environmentName) {
-                if (useExistingVersionIfAvailable) {
-                    console.log(`No environment set, but the version ${versionLabel} was found and "use_existing_version_if_available" is set to "true" - exiting successfully with no change`);
-                    process.exit(0);
-                } else {
-                    console.error(`You have no environment set, so we are trying to only create version ${versionLabel}, but it already exists in Beanstalk and the parameter "use_existing_version_if_available" is not set to "true". If you want this to result in a no-op when the version already exists you must set "use_existing_version_if_available" to "true"`);
-                    process.exit(2);
-                }
-            } else if (file && !useExistingVersionIfAvailable) {
-                console.error(`Deployment failed: Version ${versionLabel} already exists. Either remove the "deployment_package" parameter to deploy existing version, or set the "use_existing_version_if_available" parameter to "true" to use existing version if it exists and deployment package if it doesn't.`);
-                process.exit(2);
-            } else {
-                if (file && useExistingVersionIfAvailable) {
-                    console.log(`Ignoring deployment package ${file} since version ${versionLabel} already exists and "use_existing_version_if_available" is set to true.`);
-                }
-                console.log(`Deploying existing version ${versionLabel}, version info:`);
-                console.log(JSON.stringify(versionsList[0], null, 2));
-                deployExistingVersion(application, environmentName, versionLabel, waitUntilDeploymentIsFinished, waitForRecoverySeconds);
-            }
-        } else {
-            if (file) {
-                deployNewVersion(application, environmentName, versionLabel, versionDescription, file, existingBucketName, waitUntilDeploymentIsFinished, waitForRecoverySeconds);
-            } else {
-                console.error(`Deployment failed: No deployment package given but version ${versionLabel} doesn't exist, so nothing to deploy!`);
-                process.exit(2);
+function printStatus(application, environmentNames) {
+    beanstalkDeploy.describeStatus({ application, environmentNames }).then(environments => {
+        if (environments.length === 0) {
+            logger.info(`Application ${application} has no environments.`);
+        }
+        for (let env of environments) {
+            logger.record('environmentStatus', env);
+            logger.info(`${env.environmentName} (${env.environmentId}): ${env.status}, health ${env.health}` + (env.healthStatus ? ` (${env.healthStatus})` : ''));
+            logger.info(`    Version: ${env.versionLabel || '-'}`);
+            logger.info(`    CNAME: ${env.cname || '-'}`);
+            logger.info(`    Last updated: ${env.dateUpdated.toISOString()}`);
+            logger.info('    Recent events:');
+            for (let ev of env.events) {
+                logger.info(`        ${ev.date.toISOString().replace('T', ' ').substr(0, 19)} ${ev.severity}: ${ev.message}`);
             }
+            logger.info('');
         }
+        process.exit(0);
     }).catch(err => {
-        console.error(`Deployment failed: ${err}`);
+        logger.error(`Failed to get the status: ${err.message}`);
         process.exit(2);
     });
 }
 
-//Wait until the new version is deployed, printing any events happening during the wait...
-function waitForDeployment(application, environmentName, versionLabel, start, waitForRecoverySeconds) {
-    let counter = 0;
-    let degraded = false;
-    let healThreshold;
-    let deploymentFailed = false;
-
-    const SECOND = 1000;
-    const MINUTE = 60 * SECOND;
-
-    let waitPeriod = 10 * SECOND; //Start at ten seconds, increase slowly, long deployments have been erroring with too many requests.
-    let waitStart = new Date().getTime();
-
-    return new Promise((resolve, reject) => {
-        function update() {
-
-            let elapsed = new Date().getTime() - waitStart;
-
-            //Limit update requests for really long deploys
-            if (elapsed > (10 * MINUTE)) {
-                waitPeriod = 30 * SECOND;
-            } else if (elapsed > 5 * MINUTE) {
-                waitPeriod = 20 * SECOND;
+function printVersions(application) {
+    beanstalkDeploy.listVersions({ application }).then(versions => {
+        if (versions.length === 0) {
+            logger.info(`Application ${application} has no versions.`);
+        }
+        for (let version of versions) {
+            logger.record('version', version);
+            let deployed = version.deployedTo.length > 0 ? `, deployed to ${version.deployedTo.join(', ')}` : '';
+            logger.info(`${version.versionLabel}: created ${version.dateCreated.toISOString().replace('T', ' ').substr(0, 19)}, ${version.status}${deployed}`);
+            if (version.description) {
+                logger.info(`    ${version.description}`);
             }
-
-            describeEvents(application, environmentName, start).then(result => {
-
-                expect(200, result);
-                let events = result.data.DescribeEventsResponse.DescribeEventsResult.Events.reverse(); //They show up in desc, we want asc for logging...
-                for (let ev of events) {
-                    let date = new Date(ev.EventDate * 1000); //Seconds to milliseconds,
-                    console.log(`${date.toISOString().substr(11, 8)} ${ev.Severity}: ${ev.Message}`);
-                    if (ev.Message.match(/Failed to deploy application/)) {
-                        deploymentFailed = true; //wait until next iteration to finish, to get the final messages...
-                    }
-                }
-                if (events.length > 0) {
-                    start = new Date(events[events.length - 1].EventDate * 1000 + 1000); //Add extra second so we don't get the same message next time...
-                }
-            }).catch(reject);
-
-            describeEnvironments(application, environmentName).then(result => {
-
-                expect(200, result, `Failed in call to describeEnvironments`);
-                counter++;
-                let env = result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
-                if (env.VersionLabel === versionLabel && env.Status === 'Ready') {
-                    if (!degraded) {
-                        console.log(`Deployment finished. Version updated to ${env.VersionLabel}`);
-                        console.log(`Status for ${application}-${environmentName} is ${env.Status}, Health: ${env.Health}, HealthStatus: ${env.HealthStatus}`);
-
-                        if (env.Health === 'Green') {
-                            resolve(env);
-                        } else {
-                            console.warn(`Environment update finished, but health is ${env.Health} and health status is ${env.HealthStatus}. Giving it ${waitForRecoverySeconds} seconds to recover...`);
-                            degraded = true;
-                            healThreshold = new Date(new Date().getTime() + waitForRecoverySeconds * SECOND);
-                            setTimeout(update, waitPeriod);
-                        }
-                    } else {
-                        if (env.Health === 'Green') {
-                            console.log(`Environment has recovered, health is now ${env.Health}, health status is ${env.HealthStatus}`);
-                            resolve(env);
-                        } else {
-                            if (new Date().getTime() > healThreshold.getTime()) {
-                                reject(new Error(`Environment still has health ${env.Health} ${waitForRecoverySeconds} seconds after update finished!`));
-                            } else {
-                                let left = Math.floor((healThreshold.getTime() - new Date().getTime()) / 1000);
-                                console.warn(`Environment still has health: ${env.Health} and health status ${env.HealthStatus}. Waiting ${left} more seconds before failing...`);
-                                setTimeout(update, waitPeriod);
-                            }
-                        }
-                    }
-                } else if (deploymentFailed) {
-                    let msg = `Deployment failed! Current State: Version: ${env.VersionLabel}, Health: ${env.Health}, Health Status: ${env.HealthStatus}`;
-                    console.log(`${new Date().toISOString().substr(11, 8)} ERROR: ${msg}`);
-                    reject(new Error(msg));
-                } else {
-                    if (counter % 6 === 0 && !deploymentFailed) {
-                        console.log(`${new Date().toISOString().substr(11, 8)} INFO: Still updating, status is "${env.Status}", health is "${env.Health}", health status is "${env.HealthStatus}"`);
-                    }
-                    setTimeout(update, waitPeriod);
-                }
-            }).catch(reject);
         }
-
-        update();
+        process.exit(0);
+    }).catch(err => {
+        logger.error(`Failed to list the versions: ${err.message}`);
+        process.exit(2);
     });
 }
 
 main();
-
-
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const simpleYaml = require('./simple-yaml');
+
+//The command line program takes the same inputs as the GitHub Action, as --kebab-case flags, so everything the action
+//can do works from the command line too. The inputs and their descriptions come from action.yml, so they can't drift apart.
+const ACTION = simpleYaml.parse(fs.readFileSync(path.join(__dirname, 'action.yml'), 'utf8'));
+
+const COMMANDS = {
+    'deploy': 'Deploy a version, creating it from --deployment-package first if it doesn\'t exist. The default.',
+    'create-version': 'Upload --deployment-package and create the version, without deploying it anywhere.',
+    'status': 'Print the state and recent events of the environments, or all the application\'s environments.',
+    'list-versions': 'List the versions of the application, newest first, and where they are deployed.'
+};
+
+//The positional arguments from before there were flags: <application> <environment> <versionLabel> <region> [<filename>]
+const LEGACY_ARGUMENTS = ['application_name', 'environment_name', 'version_label', 'region', 'deployment_package'];
+
+//The on/off inputs. Only these can be given as a flag without a value, every other input needs --name=value, so a flag
+//never takes the next argument as its value and the positional arguments can come after it.
+const BOOLEAN_INPUTS = ['version_github_tags', 's3_force_path_style', 'use_existing_version_if_available', 'wait_for_deployment',
+    'wait_for_environment_ready', 'abort_on_timeout', 'deploy_in_parallel', 'rollback_on_failure', 'create_environment_if_missing',
+    'terminate_environment', 'cleanup_delete_source_bundle', 'cleanup_dry_run', 'fetch_logs_on_failure', 'dry_run'];
+
+//Environment variables are the input names in upper case with this prefix, e.g. BEANSTALK_DEPLOY_APPLICATION_NAME
+const ENV_PREFIX = 'BEANSTALK_DEPLOY_';
+
+function isInput(name) {
+    return Object.prototype.hasOwnProperty.call(ACTION.inputs, name);
+}
+
+function flagName(name) {
+    return '--' + name.replace(/_/g, '-');
+}
+
+//Returns the command and the inputs, with the same names and as strings, just like the action gets them. Flags win over
+//environment variables, which win over the config file. Throws if the arguments are invalid.
+function parseArguments(args, env) {
+    let command = 'deploy', flags = {}, positional = [], configFile = env[ENV_PREFIX + 'CONFIG'] || null;
+
+    if (args.length > 0 && Object.prototype.hasOwnProperty.call(COMMANDS, args[0])) {
+        command = args[0];
+        args = args.slice(1);
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            return { command: 'help' };
+        }
+        if (arg === '-v' || arg === '--version') {
+            return { command: 'version' };
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        let separator = arg.indexOf('=');
+        let name = (separator === -1 ? arg.substr(2) : arg.substr(2, separator - 2)).replace(/-/g, '_');
+        let value = separator === -1 ? null : arg.substr(separator + 1);
+        if (value === null && name.startsWith('no_') && BOOLEAN_INPUTS.includes(name.substr(3))) {
+            name = name.substr(3);
+            value = 'false';
+        } else if (value === null && BOOLEAN_INPUTS.includes(name)) {
+            //A flag without a value is true, so --rollback-on-failure works like --rollback-on-failure=true
+            value = 'true';
+        } else if (value === null && (name === 'config' || isInput(name))) {
+            throw new Error(`Option ${flagName(name)} needs a value, as ${flagName(name)}=<value>`);
+        }
+
+        if (name === 'config') {
+            configFile = value;
+        } else if (isInput(name)) {
+            flags[name] = value;
+        } else {
+            throw new Error(`Unknown option ${flagName(name)}, run beanstalk-deploy --help to see the options`);
+        }
+    }
+
+    let fromPositional = {};
+    if (positional.length > 0) {
+        if (command !== 'deploy' || positional.length < 4 || positional.length > LEGACY_ARGUMENTS.length) {
+            throw new Error(`Unexpected argument ${positional[0]}, run beanstalk-deploy --help to see the options`);
+        }
+        positional.forEach((value, i) => fromPositional[LEGACY_ARGUMENTS[i]] = value);
+    }
+
+    let inputs = Object.assign({}, configFile ? readConfigFile(configFile) : {}, fromEnvironment(env), fromPositional, flags);
+    //Nothing given at all, not even in the environment or a config file. The AWS variables below don't count, they are
+    //often set for other tools.
+    let empty = Object.keys(inputs).length === 0;
+    //The same environment variables as the AWS CLI, when not given as options
+    let awsEnvironment = { region: env.AWS_REGION || env.AWS_DEFAULT_REGION, aws_access_key: env.AWS_ACCESS_KEY_ID, aws_secret_key: env.AWS_SECRET_ACCESS_KEY, aws_session_token: env.AWS_SESSION_TOKEN };
+    for (let name of Object.keys(awsEnvironment)) {
+        if (!inputs[name] && awsEnvironment[name]) {
+            inputs[name] = awsEnvironment[name];
+        }
+    }
+    return { command, inputs, empty };
+}
+
+function fromEnvironment(env) {
+    let inputs = {};
+    for (let name of Object.keys(ACTION.inputs)) {
+        if (env[ENV_PREFIX + name.toUpperCase()] !== undefined) {
+            inputs[name] = env[ENV_PREFIX + name.toUpperCase()];
+        }
+    }
+    return inputs;
+}
+
+//JSON if the file name ends with .json, otherwise YAML. The keys are the input names, like in action.yml or like the
+//flags without the dashes in front. Lists can be YAML or JSON lists, and mappings become key=value lines, so
+//environment_properties and the tags can be written as mappings.
+function readConfigFile(file) {
+    let config;
+    try {
+        let text = fs.readFileSync(file, 'utf8');
+        config = /\.json$/i.test(file) ? JSON.parse(text) : simpleYaml.parse(text);
+    } catch (err) {
+        throw new Error(`Failed to read config file ${file}: ${err.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${file} must be a mapping of option names to values`);
+    }
+
+    let inputs = {};
+    for (let key of Object.keys(config)) {
+        let name = key.replace(/-/g, '_');
+        if (!isInput(name)) {
+            throw new Error(`Unknown option ${key} in config file ${file}, run beanstalk-deploy --help to see the options`);
+        }
+        inputs[name] = toInputValue(config[key]);
+    }
+    return inputs;
+}
+
+function toInputValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.join('\n');
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).map(key => `${key}=${value[key]}`).join('\n');
+    }
+    return String(value);
+}
+
+function wrap(text, indent, width = 110) {
+    let lines = [], line = '';
+    for (let word of text.split(/\s+/)) {
+        if (line && indent.length + line.length + word.length + 1 > width) {
+            lines.push(indent + line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    return lines.concat(indent + line).join('\n');
+}
+
+function printHelp() {
+    console.log('\nbeanstalk-deploy: Deploy to AWS Elastic Beanstalk');
+    console.log('https://github.com/einaregilsson/beanstalk-deploy\n');
+    console.log('Usage: beanstalk-deploy [command] [options]');
+    console.log('       beanstalk-deploy <application> <environment> <versionLabel> <region> [<filename>]\n');
+    console.log('Commands:');
+    for (let command of Object.keys(COMMANDS)) {
+        console.log(`  ${command.padEnd(16)}${COMMANDS[command]}`);
+    }
+    console.log('\nOptions:');
+    for (let name of Object.keys(ACTION.inputs)) {
+        console.log(BOOLEAN_INPUTS.includes(name) ? `  ${flagName(name)}` : `  ${flagName(name)}=<value>`);
+        console.log(wrap(ACTION.inputs[name].description, '        '));
+    }
+    console.log('  --config=<file>');
+    console.log(wrap('JSON or YAML file with options, the keys are the option names without the dashes in front, e.g. application-name or application_name.', '        '));
+    console.log('  -h, --help');
+    console.log('  -v, --version\n');
+    console.log(wrap(`Options can also be set with environment variables, e.g. ${ENV_PREFIX}APPLICATION_NAME, and ${ENV_PREFIX}CONFIG for the config file. ` +
+        'Flags win over environment variables, which win over the config file. Options with a value are given as --name=value. ' +
+        'The on/off options are true when given without a value, --no-<flag> is false.', ''));
+    console.log('');
+    console.log(wrap('Without --aws-access-key and --aws-secret-key the credentials are looked up the same way the AWS CLI does, starting with the ' +
+        'environment variables AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY. The region can also come from AWS_REGION or AWS_DEFAULT_REGION.', ''));
+    console.log('');
+}
+
+module.exports = { parseArguments, printHelp };
@@ -0,0 +1,19 @@
+const crypto = require('crypto'),
+    fs = require('fs');
+
+//The SHA-256 of the deployment package is stored as x-amz-meta-sha256 on the S3 object, so we can tell when a package
+//has already been uploaded and reuse it.
+const METADATA_HEADER = 'x-amz-meta-sha256';
+
+//Reads the file as a stream, deployment packages can be too large to read into memory.
+function hashFile(path) {
+    return new Promise((resolve, reject) => {
+        let hash = crypto.createHash('sha256');
+        fs.createReadStream(path)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+module.exports = { hashFile, METADATA_HEADER };
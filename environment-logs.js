@@ -0,0 +1,149 @@
+const awsApiRequest = require('./aws-api-request'),
+    fs = require('fs'),
+    path = require('path');
+
+//Log files in the tail output that usually say why a deployment failed
+const RELEVANT_LOGS = [/eb-engine\.log$/, /web\.stdout\.log$/];
+const TAIL_LINES = 50;
+const POLL_INTERVAL = 5 * 1000;
+const MAX_POLLS = 36; //3 minutes
+
+//Gets the last lines of the logs from the environment's instances and prints the ones that matter, since the events
+//for a failed deployment only say to look at the logs. If savePath is given the full log bundles are also downloaded
+//there, one zip file per instance, so they can be uploaded as a workflow artifact. Like the health details, this never
+//rejects, the deployment has already failed and not getting the logs shouldn't hide why.
+function fetchEnvironmentLogs(environmentName, savePath, log) {
+    log.group(`Logs from the instances of ${environmentName}`);
+    log.info(`Fetching logs from the instances of ${environmentName}...`);
+
+    return requestAndRetrieve(environmentName, 'tail').then(infos => {
+        for (let info of infos) {
+            printTail(info.Ec2InstanceId, info.content.toString('utf8'), log);
+            if (savePath) {
+                saveFile(savePath, `${info.Ec2InstanceId}-tail.txt`, info.content, log);
+            }
+        }
+        if (savePath) {
+            return requestAndRetrieve(environmentName, 'bundle').then(infos => {
+                for (let info of infos) {
+                    saveFile(savePath, `${info.Ec2InstanceId}-bundle.zip`, info.content, log);
+                }
+            });
+        }
+    }).catch(err => {
+        log.warn(`Could not fetch logs for ${environmentName}: ${err.message}`);
+    }).then(() => log.endGroup());
+}
+
+//Asks the instances to upload their logs, waits until they have, and downloads them.
+function requestAndRetrieve(environmentName, infoType) {
+    let requested = new Date().getTime();
+
+    return infoRequest('RequestEnvironmentInfo', environmentName, infoType).then(result => {
+        expectInfo(result, 'RequestEnvironmentInfo');
+        return pollForInfo(environmentName, infoType, requested);
+    }).then(infos => {
+        return infos.reduce((previous, info) => previous.then(downloaded => {
+            return awsApiRequest.requestUrl(info.Message).then(result => {
+                if (result.statusCode !== 200) {
+                    throw new Error(`Failed to download ${infoType} logs for instance ${info.Ec2InstanceId}, status: ${result.statusCode}`);
+                }
+                return downloaded.concat([{ Ec2InstanceId: info.Ec2InstanceId, content: Buffer.from(result.data) }]);
+            });
+        }), Promise.resolve([]));
+    });
+}
+
+//Logs from earlier requests stick around for a while, so only accept ones sampled after we asked for them.
+function pollForInfo(environmentName, infoType, requested) {
+    return new Promise((resolve, reject) => {
+        let polls = 0;
+
+        function poll() {
+            infoRequest('RetrieveEnvironmentInfo', environmentName, infoType).then(result => {
+                expectInfo(result, 'RetrieveEnvironmentInfo');
+                let infos = result.data.RetrieveEnvironmentInfoResponse.RetrieveEnvironmentInfoResult.EnvironmentInfo
+                    .filter(info => info.SampleTimestamp * 1000 >= requested - 60 * 1000); //Allow for some clock skew
+                if (infos.length > 0) {
+                    resolve(infos);
+                } else if (++polls >= MAX_POLLS) {
+                    reject(new Error(`The instances didn't provide ${infoType} logs within ${MAX_POLLS * POLL_INTERVAL / 1000} seconds`));
+                } else {
+                    setTimeout(poll, POLL_INTERVAL);
+                }
+            }).catch(reject);
+        }
+
+        setTimeout(poll, POLL_INTERVAL);
+    });
+}
+
+function infoRequest(operation, environmentName, infoType) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: operation,
+            Version: '2010-12-01',
+            EnvironmentName: environmentName,
+            InfoType: infoType
+        }
+    });
+}
+
+function expectInfo(result, operation) {
+    if (result.statusCode !== 200) {
+        throw new Error(`${operation} failed. Status: ${result.statusCode}. Message: ${JSON.stringify(result.data)}`);
+    }
+}
+
+//The tail logs are all the log files in one text file, each one starting with its path between dashed lines:
+//
+//-------------------------------------
+///var/log/eb-engine.log
+//-------------------------------------
+function splitTail(text) {
+    let sections = [];
+    let lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        if (/^-{10,}$/.test(lines[i]) && /^\/\S+$/.test(lines[i + 1] || '') && /^-{10,}$/.test(lines[i + 2] || '')) {
+            sections.push({ file: lines[i + 1], lines: [] });
+            i += 2;
+        } else if (sections.length > 0) {
+            sections[sections.length - 1].lines.push(lines[i]);
+        }
+    }
+    return sections;
+}
+
+function printTail(instanceId, text, log) {
+    let sections = splitTail(text).filter(section => RELEVANT_LOGS.some(pattern => pattern.test(section.file)));
+    if (sections.length === 0) {
+        //Unknown platform or format, better to print too much than nothing
+        sections = [{ file: 'tail logs', lines: text.split(/\r?\n/) }];
+    }
+
+    for (let section of sections) {
+        let lines = section.lines;
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+            lines.pop();
+        }
+        log.info('');
+        log.info(`----- ${instanceId}: ${section.file}, last ${Math.min(lines.length, TAIL_LINES)} lines -----`);
+        for (let line of lines.slice(-TAIL_LINES)) {
+            log.info(line);
+        }
+    }
+    log.info('');
+}
+
+function saveFile(dir, name, content, log) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+        log.info(`Saved ${path.join(dir, name)}`);
+    } catch (err) {
+        log.warn(`Failed to save ${name} in ${dir}: ${err.message}`);
+    }
+}
+
+module.exports = fetchEnvironmentLogs;
@@ -0,0 +1,45 @@
+//Errors thrown by the functions in index.js. They all extend BeanstalkDeployError, and have the exit code the command
+//line program and GitHub Action exit with for them, so callers can tell failures apart without parsing messages.
+class BeanstalkDeployError extends Error {
+    constructor(message, exitCode = 2) {
+        super(message);
+        this.name = this.constructor.name;
+        this.exitCode = exitCode;
+    }
+}
+
+//The options don't make sense, e.g. a required one is missing. Nothing was changed in AWS.
+class ValidationError extends BeanstalkDeployError {
+}
+
+//An AWS API call returned an unexpected status code.
+class AwsApiError extends BeanstalkDeployError {
+    constructor(message, statusCode, code) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+//The version, or its file in S3, already exists and can't be used.
+class VersionExistsError extends BeanstalkDeployError {
+}
+
+//The deployment to one or more environments did not succeed. result is the same as deploy() resolves with on success,
+//with the outcome of each environment, and exitCode is the worst of their exit codes.
+class DeploymentError extends BeanstalkDeployError {
+    constructor(message, exitCode, result) {
+        super(message, exitCode);
+        this.result = result;
+    }
+}
+
+//The deployment did not finish within the deployment timeout.
+class DeploymentTimeoutError extends BeanstalkDeployError {
+    constructor(message) {
+        super(message);
+        this.timedOut = true;
+    }
+}
+
+module.exports = { BeanstalkDeployError, ValidationError, AwsApiError, VersionExistsError, DeploymentError, DeploymentTimeoutError };
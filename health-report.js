@@ -0,0 +1,99 @@
+const awsApiRequest = require('./aws-api-request');
+
+const INSTANCE_STATES = ['Ok', 'Info', 'Warning', 'Degraded', 'Severe', 'Pending', 'Unknown', 'NoData'];
+
+//Prints why the environment is unhealthy, using enhanced health reporting: the causes Beanstalk gives for the
+//environment and for each instance, request counts and latency, and which version each instance is running, so it's
+//easy to see e.g. that some instances are still on the old version. Never rejects, if the details can't be fetched
+//(enhanced health is not enabled for all environments) we just say so, the deployment result is the same either way.
+function printHealthDetails(environmentName, log) {
+    log.group(`Health details of ${environmentName}`);
+    return healthRequest('DescribeEnvironmentHealth', environmentName).then(result => {
+        if (result.statusCode !== 200) {
+            log.warn(`Could not get health details for ${environmentName}, is enhanced health reporting enabled? Status: ${result.statusCode}, message: ${errorMessage(result)}`);
+            return false;
+        }
+        printEnvironmentHealth(result.data.DescribeEnvironmentHealthResponse.DescribeEnvironmentHealthResult, log);
+        return healthRequest('DescribeInstancesHealth', environmentName);
+    }).then(result => {
+        if (!result) {
+            return;
+        }
+        if (result.statusCode !== 200) {
+            log.warn(`Could not get instance health for ${environmentName}. Status: ${result.statusCode}, message: ${errorMessage(result)}`);
+            return;
+        }
+        printInstancesHealth(result.data.DescribeInstancesHealthResponse.DescribeInstancesHealthResult.InstanceHealthList, log);
+    }).catch(err => {
+        log.warn(`Could not get health details for ${environmentName}: ${err}`);
+    }).then(() => log.endGroup());
+}
+
+function healthRequest(operation, environmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: operation,
+            Version: '2010-12-01',
+            EnvironmentName: environmentName,
+            'AttributeNames.member.1': 'All'
+        }
+    });
+}
+
+function printEnvironmentHealth(health, log) {
+    log.info(`Environment health: ${health.Color} (${health.HealthStatus})${health.RefreshedAt ? `, refreshed at ${formatTime(health.RefreshedAt)}` : ''}`);
+    printCauses(health.Causes, '    ', log);
+
+    let instances = health.InstancesHealth || {};
+    let counts = INSTANCE_STATES.filter(state => instances[state] > 0).map(state => `${instances[state]} ${state}`);
+    if (counts.length > 0) {
+        log.info(`    Instances: ${counts.join(', ')}`);
+    }
+    printApplicationMetrics(health.ApplicationMetrics, '    ', log);
+}
+
+function printInstancesHealth(instances, log) {
+    if (!instances || instances.length === 0) {
+        return;
+    }
+    log.info('Instance health:');
+    for (let instance of instances) {
+        let deployment = instance.Deployment || {};
+        let version = deployment.VersionLabel ? `, version ${deployment.VersionLabel}${deployment.Status ? ` (${deployment.Status})` : ''}` : '';
+        let zone = instance.AvailabilityZone ? ` (${instance.AvailabilityZone})` : '';
+        log.info(`    ${instance.InstanceId}${zone}: ${instance.Color} (${instance.HealthStatus})${version}`);
+        printCauses(instance.Causes, '        ', log);
+        printApplicationMetrics(instance.ApplicationMetrics, '        ', log);
+    }
+}
+
+function printCauses(causes, indent, log) {
+    for (let cause of causes || []) {
+        log.info(`${indent}- ${cause}`);
+    }
+}
+
+function printApplicationMetrics(metrics, indent, log) {
+    if (!metrics || !metrics.RequestCount) {
+        return;
+    }
+    let codes = metrics.StatusCodes || {};
+    let statusCounts = ['2xx', '3xx', '4xx', '5xx'].map(code => `${code}: ${codes['Status' + code] || 0}`).join(', ');
+    log.info(`${indent}Requests: ${metrics.RequestCount} in the last ${metrics.Duration} seconds, ${statusCounts}`);
+
+    let latency = metrics.Latency;
+    if (latency) {
+        log.info(`${indent}Latency: p50 ${latency.P50}s, p90 ${latency.P90}s, p99 ${latency.P99}s, p99.9 ${latency.P999}s`);
+    }
+}
+
+function formatTime(seconds) {
+    return new Date(seconds * 1000).toISOString().substr(11, 8);
+}
+
+function errorMessage(result) {
+    return result.data && result.data.Error ? result.data.Error.Message : JSON.stringify(result.data);
+}
+
+module.exports = printHealthDetails;
@@ -0,0 +1,92 @@
+const http = require('http'),
+    https = require('https'),
+    tls = require('tls');
+
+//Proxy support for request(), using the same environment variables as curl and most other tools: HTTPS_PROXY for https
+//urls, HTTP_PROXY for http urls, and NO_PROXY for hosts that should be reached directly. Lower case names work too.
+
+//Returns the proxy url to use for the host, or null to connect directly.
+function getProxyUrl(protocol, hostname, port, env = process.env) {
+    let proxy = protocol === 'https:' ? (env.HTTPS_PROXY || env.https_proxy) : (env.HTTP_PROXY || env.http_proxy);
+    if (!proxy || isExcluded(hostname, port, env.NO_PROXY || env.no_proxy || '')) {
+        return null;
+    }
+    //Proxies are often given without the scheme, e.g. HTTPS_PROXY=proxy.example.com:3128
+    return new URL(proxy.indexOf('://') === -1 ? `http://${proxy}` : proxy);
+}
+
+//NO_PROXY is a comma separated list of host names, domains (.example.com, *.example.com or example.com, which all
+//include the subdomains), IP addresses and host:port pairs. * turns the proxy off for everything.
+function isExcluded(hostname, port, noProxy) {
+    hostname = hostname.toLowerCase();
+    return noProxy.split(/[,\s]+/).filter(entry => entry.length > 0).some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+        let [host, entryPort] = entry.toLowerCase().split(':');
+        if (entryPort && parseInt(entryPort) !== port) {
+            return false;
+        }
+        host = host.replace(/^\*?\./, '');
+        return hostname === host || hostname.endsWith('.' + host);
+    });
+}
+
+function proxyHeaders(proxy) {
+    if (!proxy.username) {
+        return {};
+    }
+    let credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': 'Basic ' + Buffer.from(credentials).toString('base64') };
+}
+
+//Request options that send the request through the proxy. Plain http requests go to the proxy with the full url as
+//the path. For https the proxy opens a tunnel to the host with CONNECT, and TLS runs through the tunnel, so the proxy never
+//sees the request itself. The tunnel is made before the request, so this calls back with the options once it's open.
+function proxyRequestOptions(proxy, protocol, options, callback) {
+    let proxyPort = parseInt(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80);
+
+    if (protocol === 'http:') {
+        let host = options.port === 80 ? options.hostname : `${options.hostname}:${options.port}`;
+        callback(null, Object.assign({}, options, {
+            hostname: proxy.hostname,
+            port: proxyPort,
+            path: `http://${host}${options.path}`,
+            headers: Object.assign({ Host: host }, options.headers, proxyHeaders(proxy))
+        }));
+        return;
+    }
+
+    let target = `${options.hostname}:${options.port}`, done = false;
+    let finish = (err, tunnelOptions) => {
+        if (!done) {
+            done = true;
+            callback(err, tunnelOptions);
+        }
+    };
+    let connect = (proxy.protocol === 'https:' ? https : http).request({
+        hostname: proxy.hostname,
+        port: proxyPort,
+        method: 'CONNECT',
+        path: target,
+        headers: Object.assign({ Host: target }, proxyHeaders(proxy)),
+        timeout: options.timeout
+    });
+    connect.on('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+            socket.destroy();
+            finish(new Error(`Proxy ${proxy.host} refused to connect to ${target}, status: ${res.statusCode}`));
+            return;
+        }
+        socket.setTimeout(0); //The request through the tunnel has its own timeout
+        finish(null, Object.assign({}, options, {
+            agent: false,
+            createConnection: () => tls.connect({ socket, servername: options.hostname })
+        }));
+    });
+    connect.on('timeout', () => connect.destroy(Object.assign(new Error(`Timed out connecting to proxy ${proxy.host}`), { code: 'ETIMEDOUT' })));
+    connect.on('error', err => finish(err));
+    connect.end();
+}
+
+module.exports = { getProxyUrl, proxyRequestOptions };
@@ -0,0 +1,1635 @@
+const awsApiRequest = require('./aws-api-request');
+const awsCredentials = require('./aws-credentials');
+const optionSettingsHelper = require('./option-settings');
+const uploadFileToS3Multipart = require('./s3-multipart-upload');
+const { cleanUpVersions, describeAllApplicationVersions, describeApplicationEnvironments } = require('./version-cleanup');
+const contentHash = require('./content-hash');
+const versionMetadata = require('./version-metadata');
+const runSmokeTests = require('./smoke-test');
+const printHealthDetails = require('./health-report');
+const fetchEnvironmentLogs = require('./environment-logs');
+const zipDirectory = require('./zip-directory');
+const errors = require('./errors');
+const logger = require('./logger');
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const MB = 1024 * 1024;
+
+function createStorageLocation() {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: { Operation: 'CreateStorageLocation', Version: '2010-12-01' }
+    });
+}
+
+function checkIfFileExistsInS3(bucket, s3Key) {
+
+    return awsApiRequest({
+        service: 's3',
+        bucket,
+        path: s3Key,
+        method: 'HEAD'
+    });
+}
+
+function readFile(path) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path, (err, data) => {
+            if (err) {
+                reject(err);
+            }
+            resolve(data);
+        });
+    });
+}
+
+//A directory is zipped first, then it's uploaded like any other deployment package. The zip file is deleted once
+//use() is done with it, so repeated deployments don't fill up the temp directory with copies of the bundle.
+function withDeploymentPackage(path, zipName, use) {
+    return new Promise((resolve, reject) => {
+        fs.stat(path, (err, stats) => err ? reject(err) : resolve(stats));
+    }).then(stats => {
+        if (!stats.isDirectory()) {
+            return use(path);
+        }
+        return zipDirectory(path, zipName).then(zipFile => {
+            logger.info(`Created deployment package ${zipFile}`);
+            return Promise.resolve(zipFile).then(use).then(result => {
+                zipDirectory.removeZipFile(zipFile);
+                return result;
+            }, err => {
+                zipDirectory.removeZipFile(zipFile);
+                throw err;
+            });
+        });
+    });
+}
+
+function getFileSize(path) {
+    return new Promise((resolve, reject) => {
+        fs.stat(path, (err, stats) => {
+            if (err) {
+                reject(err);
+            } else if (!stats.isFile()) {
+                reject(new errors.ValidationError(`${path} is not a file`));
+            } else {
+                resolve(stats.size);
+            }
+        });
+    });
+}
+
+//Storage classes Beanstalk can read the source bundle from right away, the archive ones need a restore first.
+const S3_STORAGE_CLASSES = ['STANDARD', 'REDUCED_REDUNDANCY', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING', 'GLACIER_IR'];
+
+//Encryption, tags and storage class for the uploaded bundle. These go with the PUT, or with CreateMultipartUpload for
+//large files, and are signed like any other header.
+function s3UploadHeaders(uploadOptions) {
+    let headers = {};
+    if (uploadOptions.serverSideEncryption) {
+        headers['x-amz-server-side-encryption'] = uploadOptions.serverSideEncryption;
+    }
+    if (uploadOptions.kmsKeyId) {
+        headers['x-amz-server-side-encryption-aws-kms-key-id'] = uploadOptions.kmsKeyId;
+    }
+    if (uploadOptions.tags.length > 0) {
+        headers['x-amz-tagging'] = uploadOptions.tags.map(tag => `${encodeURIComponent(tag.Key)}=${encodeURIComponent(tag.Value)}`).join('&');
+    }
+    if (uploadOptions.storageClass) {
+        headers['x-amz-storage-class'] = uploadOptions.storageClass;
+    }
+    return headers;
+}
+
+function uploadFileToS3(bucket, s3Key, filebuffer, headers) {
+    return awsApiRequest({
+        service: 's3',
+        bucket,
+        path: s3Key,
+        method: 'PUT',
+        headers: Object.assign({ 'Content-Type': 'application/octet-stream' }, headers),
+        payload: filebuffer
+    });
+}
+
+function createBeanstalkVersion(application, bucket, s3Key, versionLabel, versionDescription, versionTags = []) {
+    let querystring = {
+        Operation: 'CreateApplicationVersion',
+        Version: '2010-12-01',
+        ApplicationName: application,
+        VersionLabel: versionLabel,
+        Description: versionDescription,
+        'SourceBundle.S3Bucket': bucket,
+        'SourceBundle.S3Key': s3Key.substr(1) //Don't want leading / here
+    };
+    versionTags.forEach((tag, i) => {
+        querystring[`Tags.member.${i + 1}.Key`] = tag.Key;
+        querystring[`Tags.member.${i + 1}.Value`] = tag.Value;
+    });
+    return awsApiRequest({ service: 'elasticbeanstalk', querystring });
+}
+
+function deployBeanstalkVersion(application, environmentName, versionLabel, optionSettings = [], optionsToRemove = []) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: optionSettingsHelper.addToQuerystring({
+            Operation: 'UpdateEnvironment',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            EnvironmentName: environmentName,
+            VersionLabel: versionLabel
+        }, optionSettings, optionsToRemove)
+    });
+}
+
+function createBeanstalkEnvironment(application, environmentName, versionLabel, createEnvironment, optionSettings = [], optionsToRemove = []) {
+    let querystring = {
+        Operation: 'CreateEnvironment',
+        Version: '2010-12-01',
+        ApplicationName: application,
+        EnvironmentName: environmentName,
+        VersionLabel: versionLabel,
+        'Tier.Name': createEnvironment.tier,
+        'Tier.Type': createEnvironment.tier === 'Worker' ? 'SQS/HTTP' : 'Standard'
+    };
+    if (createEnvironment.platformArn) {
+        querystring.PlatformArn = createEnvironment.platformArn;
+    } else {
+        querystring.SolutionStackName = createEnvironment.solutionStackName;
+    }
+    if (createEnvironment.cnamePrefix) {
+        querystring.CNAMEPrefix = createEnvironment.cnamePrefix;
+    }
+
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: optionSettingsHelper.addToQuerystring(querystring, optionSettings, optionsToRemove)
+    });
+}
+
+function terminateBeanstalkEnvironment(application, environmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'TerminateEnvironment',
+            Version: '2010-12-01',
+            EnvironmentName: environmentName
+        }
+    });
+}
+
+function abortEnvironmentUpdate(environmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'AbortEnvironmentUpdate',
+            Version: '2010-12-01',
+            EnvironmentName: environmentName
+        }
+    });
+}
+
+function describeConfigurationSettings(application, environmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeConfigurationSettings',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            EnvironmentName: environmentName
+        }
+    });
+}
+
+function swapEnvironmentCNAMEs(sourceEnvironmentName, destinationEnvironmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'SwapEnvironmentCNAMEs',
+            Version: '2010-12-01',
+            SourceEnvironmentName: sourceEnvironmentName,
+            DestinationEnvironmentName: destinationEnvironmentName
+        }
+    });
+}
+
+function describeEvents(application, environmentName, startTime) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeEvents',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            Severity: 'TRACE',
+            EnvironmentName: environmentName,
+            StartTime: startTime.toISOString().replace(/(-|:|\.\d\d\d)/g, '')
+        }
+    });
+}
+
+function describeRecentEvents(application, environmentName, maxRecords) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeEvents',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            EnvironmentName: environmentName,
+            MaxRecords: maxRecords
+        }
+    });
+}
+
+function describeEnvironments(application, environmentName) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeEnvironments',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            IncludeDeleted: false, //Otherwise we get environments terminated during the last hour too, with the same name
+            'EnvironmentNames.members.1': environmentName //Yes, that's the horrible way to pass an array...
+        }
+    });
+}
+
+function getApplicationVersion(application, versionLabel) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeApplicationVersions',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            'VersionLabels.members.1': versionLabel //Yes, that's the horrible way to pass an array...
+        }
+    });
+}
+
+function expect(status, result, extraErrorMessage) {
+    if (!result) {
+        throw new Error(`Null result received when expecting ${status}`);
+    }
+
+    if (!result.statusCode) {
+        throw new Error(`Provided result ${result} is missing a status code when expecting ${status}`);
+    }
+
+    if (status !== result.statusCode) {
+        if (extraErrorMessage) {
+            logger.info(extraErrorMessage);
+        }
+        if (result.headers['content-type'] !== 'application/json') {
+            throw new errors.AwsApiError(`Status: ${result.statusCode}. Message: ${result.data}`, result.statusCode);
+        } else {
+            throw new errors.AwsApiError(`Status: ${result.statusCode}. Code: ${result.data.Error.Code}, Message: ${result.data.Error.Message}`, result.statusCode, result.data.Error.Code);
+        }
+    }
+}
+
+//Uploads zip file and creates new version from it. If a version with the same content already exists its source bundle
+//is used for the new version instead of uploading the same file again. The content is compared by SHA-256, which is
+//stored in the S3 object metadata. Fills in the version details in result.
+function uploadAndCreateVersion(options, result) {
+    let { application, versionLabel, versionDescription, versionTags, file, bucket, upload, events } = options;
+
+    //Lots of characters that will mess up an S3 filename, so only allow alphanumeric, - and _ in the actual file name.
+    //The version label can still contain all that other stuff though.
+    let s3filename = versionLabel.replace(/[^a-zA-Z0-9-_]/g, '-');
+
+    let s3Key = `/${upload.keyPrefix || application}/${s3filename}.zip`;
+    let fileSize, hash, reusedBundle = false;
+
+    logger.group(`Creating version ${versionLabel}`);
+    return withDeploymentPackage(file, `${s3filename}.zip`, zipFile => {
+        file = zipFile;
+        return getFileSize(file).then(result => {
+            fileSize = result;
+            return contentHash.hashFile(file);
+        }).then(result => {
+            hash = result;
+            logger.info(`SHA-256 of deployment package: ${hash}`);
+            if (bucket) {
+                return;
+            }
+            logger.info(`No existing bucket name given, creating/requesting storage location`);
+            return createStorageLocation().then(result => {
+                expect(200, result, 'Failed to create storage location');
+                bucket = result.data.CreateStorageLocationResponse.CreateStorageLocationResult.S3Bucket;
+            });
+        }).then(() => isAlreadyUploaded(bucket, s3Key, hash, versionLabel, upload)).then(uploaded => {
+            if (uploaded) {
+                return;
+            }
+            return findBundleWithContent(application, hash, bucket, upload).then(existingBundle => {
+                if (existingBundle) {
+                    s3Key = existingBundle.s3Key;
+                    reusedBundle = true;
+                    return;
+                }
+                return uploadBundle(bucket, s3Key, file, fileSize, hash, upload, events);
+            });
+        });
+    }).then(() => {
+        return createBeanstalkVersion(application, bucket, s3Key, versionLabel, versionMetadata.truncateDescription(versionDescription), versionTags);
+    }).then(response => {
+        expect(200, response);
+        logger.info(`Created new application version ${versionLabel} in Beanstalk.`);
+        Object.assign(result, { versionCreated: true, bucket, s3Key: s3Key.substr(1), sha256: hash, reusedBundle });
+        events.emit('versionCreated', { application, versionLabel, bucket, s3Key: s3Key.substr(1), sha256: hash, reusedBundle });
+        logger.endGroup();
+        return result;
+    }, err => {
+        logger.endGroup();
+        throw err;
+    });
+}
+
+//How many of the newest versions are checked for a bundle with the same content. Each one is a HEAD request and for a
+//new build none of them match, so only the latest few are checked, which covers re-running the workflow for a commit.
+const MAX_REUSE_CANDIDATES = 5;
+
+//Beanstalk lists the newest versions first
+function getRecentApplicationVersions(application, count) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeApplicationVersions',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            MaxRecords: count
+        }
+    });
+}
+
+//Looks for one of the newest versions of the application whose source bundle has the same SHA-256 in its S3 metadata.
+//Only bundles in the bucket the package would be uploaded to, and stored the way the upload options say, are reused.
+//Resolves with the key of the bundle, or null if there is none.
+function findBundleWithContent(application, hash, bucket, uploadOptions) {
+    return getRecentApplicationVersions(application, MAX_REUSE_CANDIDATES).then(response => {
+        expect(200, response, 'Failed in call to describeApplicationVersions');
+        let versions = response.data.DescribeApplicationVersionsResponse.DescribeApplicationVersionsResult.ApplicationVersions;
+        let keys = versions.filter(version => version.SourceBundle && version.SourceBundle.S3Bucket === bucket && version.Status !== 'FAILED')
+            .sort((a, b) => b.DateCreated - a.DateCreated)
+            .map(version => ({ s3Key: '/' + version.SourceBundle.S3Key, versionLabel: version.VersionLabel }))
+            .filter((candidate, i, all) => all.findIndex(other => other.s3Key === candidate.s3Key) === i);
+
+        return keys.reduce((previous, candidate) => previous.then(found => {
+            if (found) {
+                return found;
+            }
+            return checkIfFileExistsInS3(bucket, candidate.s3Key).then(result => {
+                if (result.statusCode !== 200 || result.headers[contentHash.METADATA_HEADER] !== hash || !storedAsConfigured(result.headers, uploadOptions)) {
+                    return null;
+                }
+                logger.info(`Version ${candidate.versionLabel} has the same content, using its source bundle s3://${bucket}${candidate.s3Key} instead of uploading again.`);
+                return candidate;
+            });
+        }), Promise.resolve(null));
+    });
+}
+
+//Whether an object in S3 has the encryption and storage class the upload options ask for, from its HEAD response.
+function storedAsConfigured(headers, uploadOptions) {
+    if (uploadOptions.serverSideEncryption && headers['x-amz-server-side-encryption'] !== uploadOptions.serverSideEncryption) {
+        return false;
+    }
+    //The key id can be given as an id, alias or ARN, but S3 always returns the ARN
+    if (uploadOptions.kmsKeyId && !(headers['x-amz-server-side-encryption-aws-kms-key-id'] || '').endsWith(uploadOptions.kmsKeyId)) {
+        return false;
+    }
+    return !uploadOptions.storageClass || (headers['x-amz-storage-class'] || 'STANDARD') === uploadOptions.storageClass;
+}
+
+//The SHA-256 of a version's source bundle, from its S3 metadata, or null if it can't be read.
+function bundleContentHash(bundle) {
+    if (!bundle.S3Bucket || !bundle.S3Key) {
+        return Promise.resolve(null);
+    }
+    return checkIfFileExistsInS3(bundle.S3Bucket, '/' + bundle.S3Key).then(result => {
+        return result.statusCode === 200 ? result.headers[contentHash.METADATA_HEADER] || null : null;
+    }, () => null);
+}
+
+//An object that is already at the version's own key is only used if it has the same content, e.g. when an earlier run
+//uploaded it but failed before creating the version. One with different content is never overwritten, since an existing
+//version could be using it. Resolves with whether the object can be used as it is.
+function isAlreadyUploaded(bucket, s3Key, hash, versionLabel, uploadOptions) {
+    return checkIfFileExistsInS3(bucket, s3Key).then(result => {
+        if (result.statusCode !== 200) {
+            expect(404, result);
+            return false;
+        }
+        let storedHash = result.headers[contentHash.METADATA_HEADER];
+        if (storedHash !== hash) {
+            throw new errors.VersionExistsError(`Version ${versionLabel} already exists in S3 at s3://${bucket}${s3Key}, ${storedHash ? `with different content (sha256 ${storedHash})` : 'and it has no content hash to compare with'}. Refusing to overwrite it.`);
+        }
+        if (!storedAsConfigured(result.headers, uploadOptions)) {
+            logger.info(`Deployment package is already in S3 with the same content, but not with the configured encryption or storage class`);
+            return false;
+        }
+        logger.info(`Deployment package is already uploaded to S3 with the same content, bucket=${bucket}, key=${s3Key}`);
+        return true;
+    });
+}
+
+function uploadBundle(bucket, s3Key, file, fileSize, hash, uploadOptions, events) {
+    logger.info(`Uploading file to bucket ${bucket}`);
+    let headers = Object.assign(s3UploadHeaders(uploadOptions), { [contentHash.METADATA_HEADER]: hash });
+
+    //Large files are uploaded in parts, streamed from disk, smaller ones are simply read into memory and PUT in one go.
+    let upload = fileSize > uploadOptions.multipartThreshold ?
+        uploadFileToS3Multipart(bucket, s3Key, file, fileSize, headers) :
+        readFile(file).then(fileBuffer => uploadFileToS3(bucket, s3Key, fileBuffer, headers));
+
+    return upload.then(result => {
+        expect(200, result);
+        logger.info(`New build successfully uploaded to S3, bucket=${bucket}, key=${s3Key}`);
+        events.emit('uploaded', { bucket, s3Key: s3Key.substr(1), size: fileSize, sha256: hash });
+    });
+}
+
+//Exit codes ordered from best to worst outcome, used to pick a single exit code when deploying to several environments.
+const EXIT_CODE_SEVERITY = [0, 1, 3, 2, 4];
+
+function resultFor(results, environmentName) {
+    return results.find(r => r.environmentName === environmentName);
+}
+
+//Deploys the version to all the environments, either one after another, stopping at the first failure, or all at
+//the same time. Adds the outcome of each environment to results, and resolves with the worst exit code of them.
+function deployToEnvironments(application, environmentNames, versionLabel, deployOptions, results) {
+    if (deployOptions.productionCname) {
+        return deployBlueGreen(application, environmentNames, versionLabel, deployOptions, results);
+    }
+
+    let multiple = environmentNames.length > 1;
+    let { events } = deployOptions;
+    let deployments;
+
+    if (multiple && deployOptions.deployInParallel) {
+        logger.info(`Deploying version ${versionLabel} to ${environmentNames.length} environments in parallel: ${environmentNames.join(', ')}`);
+        deployments = Promise.all(environmentNames.map(environmentName => {
+            return deployToEnvironment(application, environmentName, versionLabel, deployOptions, environmentLog(environmentName, true, events)).then(result => {
+                results.push(result);
+            });
+        }));
+    } else {
+        if (multiple) {
+            logger.info(`Deploying version ${versionLabel} to ${environmentNames.length} environments, one at a time: ${environmentNames.join(', ')}`);
+        }
+        deployments = environmentNames.reduce((previous, environmentName) => previous.then(() => {
+            if (results.some(r => r.exitCode !== 0)) {
+                results.push({ environmentName, exitCode: null, outcome: 'Skipped because a previous deployment failed' });
+                return;
+            }
+            return deployToEnvironment(application, environmentName, versionLabel, deployOptions, environmentLog(environmentName, multiple, events)).then(result => {
+                results.push(result);
+            });
+        }), Promise.resolve());
+    }
+
+    return deployments.then(() => {
+        let exitCode = results.filter(r => r.exitCode !== null).map(r => r.exitCode).reduce((worst, code) => {
+            return EXIT_CODE_SEVERITY.indexOf(code) > EXIT_CODE_SEVERITY.indexOf(worst) ? code : worst;
+        }, 0);
+
+        if (multiple) {
+            logger.info('');
+            logger.info(' ***** Deployment summary: ***** ');
+            for (let environmentName of environmentNames) {
+                let result = resultFor(results, environmentName);
+                let status = result.exitCode === 0 ? 'PASS' : (result.exitCode === null ? 'SKIP' : 'FAIL');
+                logger.info(`    ${status} ${environmentName}: ${result.outcome}`);
+            }
+            logger.info('');
+        }
+        return exitCode;
+    });
+}
+
+//Old versions are only cleaned up after a successful deployment, a failed one might need them for rolling back by hand.
+//Resolves with the result, or rejects with a DeploymentError if it didn't succeed.
+function finishDeployment(result, exitCode, options) {
+    let cleanedUp = exitCode === 0 && options.cleanup ? cleanUpVersions(options.application, result.versionLabel, options.cleanup) : Promise.resolve();
+
+    result.exitCode = exitCode;
+    return cleanedUp.then(() => addFinalState(result, options.application)).then(() => {
+        if (exitCode !== 0) {
+            let failed = result.environments.filter(env => env.exitCode !== 0 && env.exitCode !== null);
+            throw new errors.DeploymentError(failed.map(env => `${env.environmentName}: ${env.outcome}`).join('; ') || `Deployment failed with exit code ${exitCode}`, exitCode, result);
+        }
+        return result;
+    });
+}
+
+//The final state of the environments is fetched here, rather than kept from the deployment, so it's also there when
+//the deployment failed halfway.
+function addFinalState(result, application) {
+    return Promise.all(result.environments.map(env => {
+        return describeEnvironments(application, env.environmentName).then(response => {
+            let current = response.statusCode === 200 && response.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+            if (current) {
+                Object.assign(env, { environmentId: current.EnvironmentId, cname: current.CNAME, health: current.Health, healthStatus: current.HealthStatus });
+            }
+        }).catch(err => logger.warn(`Failed to get the final state of environment ${env.environmentName}: ${err}`));
+    }));
+}
+
+function hasCname(env, cname) {
+    //Accept both the full CNAME and just the prefix, e.g. my-app or my-app.us-west-2.elasticbeanstalk.com
+    return !!env.CNAME && (env.CNAME.toLowerCase() === cname.toLowerCase() || env.CNAME.toLowerCase().startsWith(cname.toLowerCase() + '.'));
+}
+
+//Blue/green deployment: deploys the version to whichever of the two environments does not have the production CNAME,
+//and once it's healthy swaps the CNAMEs so it starts receiving the production traffic. The previously live environment
+//is left running, still on the old version, so reverting is just a matter of swapping the CNAMEs back.
+function deployBlueGreen(application, environmentNames, versionLabel, deployOptions, results) {
+    let { productionCname, events } = deployOptions;
+    let liveEnvironmentName, idleEnvironmentName;
+
+    return Promise.all(environmentNames.map(environmentName => describeEnvironments(application, environmentName))).then(responses => {
+        let envs = responses.map((response, i) => {
+            expect(200, response, `Failed in call to describeEnvironments`);
+            let env = response.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+            if (!env) {
+                throw new errors.ValidationError(`Environment ${environmentNames[i]} does not exist`);
+            }
+            return env;
+        });
+
+        let liveEnvs = envs.filter(env => hasCname(env, productionCname));
+        if (liveEnvs.length !== 1) {
+            throw new errors.ValidationError(`Expected exactly one of the environments ${environmentNames.join(' and ')} to have the production CNAME ${productionCname}, but ${liveEnvs.length} of them had it. CNAMEs are: ${envs.map(env => env.CNAME).join(', ')}`);
+        }
+        let idleEnv = envs.find(env => env !== liveEnvs[0]);
+        liveEnvironmentName = liveEnvs[0].EnvironmentName;
+        idleEnvironmentName = idleEnv.EnvironmentName;
+
+        logger.info(`Environment ${liveEnvironmentName} has the production CNAME ${liveEnvs[0].CNAME} and is running version ${liveEnvs[0].VersionLabel}.`);
+        logger.info(`Deploying version ${versionLabel} to the idle environment ${idleEnvironmentName}, then swapping CNAMEs.`);
+
+        return deployToEnvironment(application, idleEnvironmentName, versionLabel, deployOptions, environmentLog(idleEnvironmentName, false, events));
+    }).then(result => {
+        results.push(result);
+        if (result.exitCode !== 0) {
+            logger.error(`Deployment to idle environment ${idleEnvironmentName} did not succeed, so not swapping CNAMEs. Production traffic is still served by ${liveEnvironmentName}.`);
+            return result.exitCode;
+        }
+
+        logger.info(`Swapping CNAMEs of ${idleEnvironmentName} and ${liveEnvironmentName}...`);
+        return swapEnvironmentCNAMEs(idleEnvironmentName, liveEnvironmentName).then(response => {
+            expect(200, response, `Failed to swap CNAMEs of ${idleEnvironmentName} and ${liveEnvironmentName}`);
+            return waitForCnameSwap(application, idleEnvironmentName, productionCname);
+        }).then(env => {
+            logger.info(`CNAME swap successful, ${env.CNAME} now points to ${idleEnvironmentName} running version ${versionLabel}.`);
+            logger.info(`The previous environment ${liveEnvironmentName} is still running. To revert, swap the CNAMEs of ${idleEnvironmentName} and ${liveEnvironmentName} back.`);
+            events.emit('cnameSwapped', { environmentName: idleEnvironmentName, previousEnvironmentName: liveEnvironmentName, cname: env.CNAME });
+            return 0;
+        });
+    });
+}
+
+//The CNAME swap is asynchronous, so poll until the environment has the production CNAME and is Ready again.
+function waitForCnameSwap(application, environmentName, productionCname) {
+    const POLL_INTERVAL = 5 * 1000;
+    const MAX_POLLS = 60; //5 minutes
+
+    return new Promise((resolve, reject) => {
+        let polls = 0;
+
+        function poll() {
+            describeEnvironments(application, environmentName).then(result => {
+                expect(200, result, `Failed in call to describeEnvironments`);
+                let env = result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+                if (hasCname(env, productionCname) && env.Status === 'Ready') {
+                    resolve(env);
+                } else if (++polls >= MAX_POLLS) {
+                    reject(new errors.BeanstalkDeployError(`CNAME swap did not take effect, environment ${environmentName} has CNAME ${env.CNAME} and status ${env.Status}`));
+                } else {
+                    setTimeout(poll, POLL_INTERVAL);
+                }
+            }).catch(reject);
+        }
+
+        poll();
+    });
+}
+
+//Returns functions for logging about a single environment. When deploying to several environments the output would
+//be impossible to follow otherwise, so then every line is prefixed with the environment name. The Beanstalk events
+//printed for the environment are also kept in timeline, for the job summary, and emitted as beanstalkEvent events.
+function environmentLog(environmentName, prefixed, events) {
+    let prefix = prefixed ? `[${environmentName}] ` : '';
+    let fields = fields => Object.assign({ environmentName }, fields);
+    return {
+        debug: (msg, extra) => logger.debug(prefix + msg, fields(extra)),
+        info: (msg, extra) => logger.info(prefix + msg, fields(extra)),
+        warn: (msg, extra) => logger.warn(prefix + msg, fields(extra)),
+        error: (msg, extra) => logger.error(prefix + msg, fields(extra)),
+        record: (type, extra) => logger.record(type, fields(extra)),
+        //Groups can't be used when several environments are logging at the same time
+        group: title => prefixed ? logger.info(prefix + title, fields()) : logger.group(title),
+        endGroup: () => prefixed ? null : logger.endGroup(),
+        timeline: [],
+        environmentName,
+        events
+    };
+}
+
+//Deploys a version that already exists in Beanstalk to the environment and waits for it to finish. Resolves with
+//the exit code and a description of the outcome, it never rejects. If rollbackOnFailure is set we remember which
+//version was running before the deployment and redeploy that version if the deployment fails.
+function deployToEnvironment(application, environmentName, versionLabel, deployOptions, log) {
+    let deployStart, previousVersionLabel = null, deploymentStarted = false, previousSettings = null;
+    let { waitUntilDeploymentIsFinished, waitForRecoverySeconds, rollbackOnFailure, optionSettings, optionsToRemove, createEnvironment, smokeTest, fetchLogs, deploymentTimeout, waitForReadySeconds } = deployOptions;
+    let changesConfiguration = optionSettings.length > 0 || optionsToRemove.length > 0;
+    let creating = false;
+
+    if (rollbackOnFailure && !waitUntilDeploymentIsFinished) {
+        log.warn('"rollback_on_failure" has no effect when "wait_for_deployment" is false, since we never find out if the deployment fails.');
+        rollbackOnFailure = false;
+    }
+
+    return Promise.resolve().then(() => {
+        //Another deployment to the same environment might be in progress, and UpdateEnvironment fails unless it's Ready.
+        //This is done first, so the version we'd roll back to is the one the other deployment left behind.
+        if (waitForReadySeconds) {
+            return waitForEnvironmentReady(application, environmentName, waitForReadySeconds, log);
+        }
+        if (rollbackOnFailure || createEnvironment) {
+            return describeEnvironments(application, environmentName).then(result => {
+                expect(200, result, `Failed in call to describeEnvironments`);
+                return result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+            });
+        }
+    }).then(env => {
+        if (rollbackOnFailure || createEnvironment) {
+            if ((!env || env.Status === 'Terminated') && createEnvironment) {
+                creating = true;
+                log.info(`Environment ${environmentName} does not exist, and "create_environment_if_missing" is true, so it will be created.`);
+            } else if (!rollbackOnFailure) {
+                //Environment exists, just deploy to it
+            } else if (!env || !env.VersionLabel) {
+                log.warn(`Environment ${environmentName} has no version deployed, so there is nothing to roll back to if the deployment fails.`);
+            } else if (env.VersionLabel === versionLabel) {
+                log.warn(`Version ${versionLabel} is already deployed to ${environmentName}, so there is nothing to roll back to if the deployment fails.`);
+            } else {
+                previousVersionLabel = env.VersionLabel;
+                log.info(`Environment ${environmentName} is currently running version ${previousVersionLabel}, will roll back to it if the deployment fails.`);
+            }
+        }
+
+        if (changesConfiguration && !creating) {
+            return describeConfigurationSettings(application, environmentName);
+        }
+    }).then(result => {
+        if (changesConfiguration && !creating) {
+            expect(200, result, `Failed in call to describeConfigurationSettings`);
+            let currentSettings = result.data.DescribeConfigurationSettingsResponse.DescribeConfigurationSettingsResult.ConfigurationSettings[0].OptionSettings;
+            optionSettingsHelper.printDiff(currentSettings, optionSettings, optionsToRemove, log);
+            previousSettings = optionSettingsHelper.settingsToRestore(currentSettings, optionSettings, optionsToRemove);
+        }
+
+        deployStart = new Date();
+        if (creating) {
+            log.info(`Creating environment ${environmentName} with version ${versionLabel}`);
+            return createBeanstalkEnvironment(application, environmentName, versionLabel, createEnvironment, optionSettings, optionsToRemove);
+        }
+        log.info(`Starting deployment of version ${versionLabel} to environment ${environmentName}`);
+        return deployBeanstalkVersion(application, environmentName, versionLabel, optionSettings, optionsToRemove);
+    }).then(result => {
+        expect(200, result, `Failed to deploy version ${versionLabel} to environment ${environmentName}`);
+        deploymentStarted = true;
+        log.events.emit('deploymentStarted', { environmentName, versionLabel, creating });
+
+        if (waitUntilDeploymentIsFinished) {
+            log.info('Deployment started, "wait_for_deployment" was true...\n');
+            return watchDeployment(application, environmentName, versionLabel, deployStart, waitForRecoverySeconds, deploymentTimeout, log).then(env => {
+                if (!smokeTest) {
+                    return env;
+                }
+                //Smoke test failures are deployment failures, so they get rolled back like any other
+                let baseUrl = smokeTest.baseUrl || (env.CNAME ? `http://${env.CNAME}` : null);
+                if (!baseUrl) {
+                    throw new errors.BeanstalkDeployError(`Environment ${environmentName} has no CNAME to run the smoke tests against, set "smoke_test_base_url"`);
+                }
+                return runSmokeTests(baseUrl, smokeTest, log).then(() => env);
+            });
+        } else {
+            log.info('Deployment started, parameter "wait_for_deployment" was false, so action is finished.');
+            log.info('**** IMPORTANT: Please verify manually that the deployment succeeds!');
+            return null;
+        }
+    }).then(envAfterDeployment => {
+        if (!envAfterDeployment) {
+            return { environmentName, exitCode: 0, outcome: 'Deployment started, not waiting for it to finish' };
+        } else if (envAfterDeployment.Health === 'Green') {
+            log.info('Environment update successful!');
+            return { environmentName, exitCode: 0, outcome: `Version ${versionLabel} deployed` };
+        } else {
+            log.warn(`Environment update finished, but environment health is: ${envAfterDeployment.Health}, HealthStatus: ${envAfterDeployment.HealthStatus}`);
+            return { environmentName, exitCode: 1, outcome: `Version ${versionLabel} deployed, but health is ${envAfterDeployment.Health}` };
+        }
+    }).catch(err => {
+        let failure = err.timedOut ? 'Deployment timed out' : 'Deployment failed';
+        log.error(`${failure}: ${err.message}`);
+        //Get the logs before rolling back, the rollback might replace the instances that have them
+        let logsFetched = deploymentStarted && fetchLogs ? fetchEnvironmentLogs(environmentName, fetchLogs.savePath, log) : Promise.resolve();
+
+        return logsFetched.then(() => {
+            if (!deploymentStarted || !previousVersionLabel) {
+                return { environmentName, exitCode: 2, outcome: `${failure}: ${err.message}` };
+            }
+
+            return rollBack(application, environmentName, previousVersionLabel, previousSettings, waitForRecoverySeconds, deploymentTimeout, log).then(() => {
+                log.error(`Deployment of version ${versionLabel} failed, environment ${environmentName} was rolled back to version ${previousVersionLabel}.`);
+                return { environmentName, exitCode: 3, outcome: `${failure}, rolled back to version ${previousVersionLabel}` };
+            }).catch(err => {
+                log.error(`Deployment of version ${versionLabel} failed, and rolling back to version ${previousVersionLabel} also failed: ${err}`);
+                return { environmentName, exitCode: 4, outcome: `${failure}, rollback to version ${previousVersionLabel} also failed: ${err.message}` };
+            });
+        });
+    }).then(result => {
+        result.durationSeconds = deployStart ? Math.round((new Date().getTime() - deployStart.getTime()) / 1000) : 0;
+        result.timeline = log.timeline;
+        log.events.emit('environmentFinished', { environmentName, exitCode: result.exitCode, outcome: result.outcome, durationSeconds: result.durationSeconds });
+        return result;
+    });
+}
+
+//Redeploys the version that was running before a failed deployment, and puts back the option settings and environment
+//properties the deployment changed, if any. The environment might still be finishing the failed update, and Beanstalk
+//refuses to update an environment that isn't Ready, so we wait for that first.
+function rollBack(application, environmentName, versionLabel, previousSettings, waitForRecoverySeconds, deploymentTimeout, log) {
+    let rollbackStart;
+    let restore = previousSettings || { optionSettings: [], optionsToRemove: [] };
+    let restoreCount = restore.optionSettings.length + restore.optionsToRemove.length;
+    log.info(`Rolling back environment ${environmentName} to version ${versionLabel}` + (restoreCount > 0 ? `, and restoring ${restoreCount} option settings to their previous values...` : '...'));
+    log.events.emit('rollbackStarted', { environmentName, versionLabel });
+
+    return waitForEnvironmentReady(application, environmentName, 15 * 60, log).then(() => {
+        rollbackStart = new Date();
+        return deployBeanstalkVersion(application, environmentName, versionLabel, restore.optionSettings, restore.optionsToRemove);
+    }).then(result => {
+        expect(200, result, `Failed to start rollback to version ${versionLabel}`);
+        log.info(`Rollback to version ${versionLabel} started, waiting for it to finish...\n`);
+        return watchDeployment(application, environmentName, versionLabel, rollbackStart, waitForRecoverySeconds, deploymentTimeout, log);
+    });
+}
+
+//Polls the environment until its status is Ready, so that it will accept a new UpdateEnvironment call, printing the
+//events of whatever is going on in the meantime. Resolves with the environment, or undefined if it doesn't exist, since
+//then there is nothing to wait for.
+function waitForEnvironmentReady(application, environmentName, maxWaitSeconds, log) {
+    const POLL_INTERVAL = 10 * 1000;
+    let waitStart = new Date();
+    let printEvents = createEventPrinter(application, environmentName, waitStart, log);
+
+    return new Promise((resolve, reject) => {
+        let polls = 0;
+
+        function poll() {
+            let eventsPrinted = polls > 0 ? printEvents() : Promise.resolve();
+            eventsPrinted.then(() => describeEnvironments(application, environmentName)).then(result => {
+                expect(200, result, `Failed in call to describeEnvironments`);
+                let env = result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+                if (!env || env.Status === 'Ready' || env.Status === 'Terminated') {
+                    if (env && polls > 0) {
+                        log.info(`Environment ${environmentName} is Ready, running version ${env.VersionLabel}.`);
+                    }
+                    resolve(env);
+                } else if (env.Status === 'Terminating') {
+                    reject(new errors.BeanstalkDeployError(`Environment ${environmentName} is being terminated`));
+                } else if (new Date().getTime() - waitStart.getTime() > maxWaitSeconds * 1000) {
+                    reject(new errors.BeanstalkDeployError(`Environment ${environmentName} did not return to Ready state within ${maxWaitSeconds} seconds, status is still ${env.Status}`));
+                } else {
+                    if (polls === 0) {
+                        log.info(`Environment ${environmentName} has status ${env.Status}, waiting up to ${maxWaitSeconds} seconds for it to be Ready...`);
+                    }
+                    polls++;
+                    setTimeout(poll, POLL_INTERVAL);
+                }
+            }).catch(reject);
+        }
+
+        poll();
+    });
+}
+
+
+//Without static access keys the credentials come from awsApiRequest.credentialProvider, by default the same chain the
+//AWS CLI uses. Fetch them up front, so we fail early if there are none, and can log where they came from.
+function resolveCredentials() {
+    if (!awsApiRequest.region && !process.env.AWS_DEFAULT_REGION) {
+        return Promise.reject(new errors.ValidationError('Region not specified!'));
+    }
+    if (!awsApiRequest.accessKey && !process.env.AWS_ACCESS_KEY_ID && !awsApiRequest.credentialProvider) {
+        awsApiRequest.credentialProvider = awsCredentials.defaultProviderChain();
+    }
+    if (awsApiRequest.accessKey || !awsApiRequest.credentialProvider) {
+        return Promise.resolve();
+    }
+
+    return awsApiRequest.credentialProvider().then(credentials => {
+        logger.info(`Using AWS credentials from ${credentials.source}` + (credentials.expiration ? `, they expire at ${credentials.expiration.toISOString()} and will be refreshed if needed` : ''));
+        logger.info('');
+    });
+}
+
+//Returns a function that prints the environment's events since the last time it was called (or since start, the first
+//time), and resolves to them.
+function createEventPrinter(application, environmentName, start, log) {
+    return function printEvents() {
+        return describeEvents(application, environmentName, start).then(result => {
+            expect(200, result);
+            let events = result.data.DescribeEventsResponse.DescribeEventsResult.Events.reverse(); //They show up in desc, we want asc for logging...
+            for (let ev of events) {
+                let date = new Date(ev.EventDate * 1000); //Seconds to milliseconds,
+                log.info(`${date.toISOString().substr(11, 8)} ${ev.Severity}: ${ev.Message}`, { type: 'beanstalkEvent', eventDate: date, severity: ev.Severity, message: ev.Message });
+                if (log.timeline) {
+                    log.timeline.push({ date, severity: ev.Severity, message: ev.Message });
+                }
+                if (log.events) {
+                    log.events.emit('beanstalkEvent', { environmentName, date, severity: ev.Severity, message: ev.Message });
+                }
+            }
+            if (events.length > 0) {
+                start = new Date(events[events.length - 1].EventDate * 1000 + 1000); //Add extra second so we don't get the same message next time...
+            }
+            return events;
+        });
+    };
+}
+
+//Wait until the environment is terminated, printing events while waiting.
+function waitForTermination(application, environmentName, start, log) {
+    let printEvents = createEventPrinter(application, environmentName, start, log);
+    let counter = 0;
+
+    return new Promise((resolve, reject) => {
+        function update() {
+            printEvents().then(() => describeEnvironments(application, environmentName)).then(result => {
+                expect(200, result, `Failed in call to describeEnvironments`);
+                let env = result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+                if (!env || env.Status === 'Terminated') {
+                    log.info(`Environment ${environmentName} has been terminated.`);
+                    resolve();
+                } else if (++counter > 120) {
+                    reject(new errors.BeanstalkDeployError(`Environment ${environmentName} is still ${env.Status} after 20 minutes, giving up.`));
+                } else {
+                    setTimeout(update, 10000);
+                }
+            }).catch(reject);
+        }
+        update();
+    });
+}
+
+//Wait until the new version is deployed, printing any events happening during the wait...
+//If deploymentTimeout is given, and the deployment hasn't finished within deploymentTimeout.seconds, we give up, and if
+//deploymentTimeout.abort is set we first abort the update and wait for the environment to be Ready again.
+function watchDeployment(application, environmentName, versionLabel, start, waitForRecoverySeconds, deploymentTimeout, log) {
+    let counter = 0;
+    let degraded = false;
+    let healThreshold;
+    let deploymentFailed = false;
+    let abortStarted = null;
+
+    const SECOND = 1000;
+    const MINUTE = 60 * SECOND;
+    const MAX_ABORT_WAIT = 20 * MINUTE;
+
+    let waitPeriod = 10 * SECOND; //Start at ten seconds, increase slowly, long deployments have been erroring with too many requests.
+    let waitStart = new Date().getTime();
+    let printEvents = createEventPrinter(application, environmentName, start, log);
+    let lastState = null;
+
+    //Each change in status, health or version is logged as an environmentState record, for json and custom log output
+    function recordState(env) {
+        let state = { status: env.Status, health: env.Health, healthStatus: env.HealthStatus, versionLabel: env.VersionLabel };
+        if (JSON.stringify(state) !== JSON.stringify(lastState)) {
+            lastState = state;
+            log.record('environmentState', state);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        //The events and the environment are polled side by side, so either can fail the watch. Once it has failed or
+        //finished, nothing may log or poll again, since the caller may already be rolling back.
+        let settled = false;
+        let succeed = env => {
+            settled = true;
+            resolve(env);
+        };
+        let fail = err => {
+            settled = true;
+            reject(err);
+        };
+
+        function update() {
+            if (settled) {
+                return;
+            }
+
+            let elapsed = new Date().getTime() - waitStart;
+
+            //Limit update requests for really long deploys
+            if (elapsed > (10 * MINUTE)) {
+                waitPeriod = 30 * SECOND;
+            } else if (elapsed > 5 * MINUTE) {
+                waitPeriod = 20 * SECOND;
+            }
+
+            if (deploymentTimeout && !abortStarted && !degraded && elapsed > deploymentTimeout.seconds * SECOND) {
+                let msg = `Timed out after ${deploymentTimeout.seconds} seconds waiting for the deployment to finish`;
+                if (!deploymentTimeout.abort) {
+                    fail(new errors.DeploymentTimeoutError(`${msg}. The update is still in progress in Beanstalk!`));
+                    return;
+                }
+                abortStarted = new Date().getTime();
+                log.warn(`${msg}, aborting the environment update...`);
+                abortEnvironmentUpdate(environmentName).then(result => {
+                    expect(200, result, `Failed to abort the update of environment ${environmentName}`);
+                    log.info('Abort requested, waiting for the environment to be Ready again...');
+                    setTimeout(update, waitPeriod);
+                }).catch(err => fail(new errors.DeploymentTimeoutError(`${msg}, and aborting the update failed: ${err.message}`)));
+                return;
+            }
+
+            printEvents().then(events => {
+                for (let ev of events) {
+                    if (ev.Message.match(/Failed to deploy application|Failed to launch environment|Create environment operation is complete, but with errors/)) {
+                        deploymentFailed = true; //wait until next iteration to finish, to get the final messages...
+                    }
+                }
+            }).catch(fail);
+
+            describeEnvironments(application, environmentName).then(result => {
+                if (settled) {
+                    return;
+                }
+
+                expect(200, result, `Failed in call to describeEnvironments`);
+                counter++;
+                let env = result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+                if (env) {
+                    recordState(env);
+                }
+                if (!env) {
+                    fail(new errors.DeploymentError(`Environment ${environmentName} not found, was it terminated?`, 2));
+                } else if (abortStarted) {
+                    let msg = `Timed out after ${deploymentTimeout.seconds} seconds waiting for the deployment to finish. The update was aborted`;
+                    if (env.Status === 'Ready') {
+                        fail(new errors.DeploymentTimeoutError(`${msg}, environment ${environmentName} is running version ${env.VersionLabel}`));
+                    } else if (new Date().getTime() - abortStarted > MAX_ABORT_WAIT) {
+                        fail(new errors.DeploymentTimeoutError(`${msg}, but environment ${environmentName} still has status ${env.Status} ${MAX_ABORT_WAIT / MINUTE} minutes later`));
+                    } else {
+                        setTimeout(update, waitPeriod);
+                    }
+                } else if (env.VersionLabel === versionLabel && env.Status === 'Ready') {
+                    if (!degraded) {
+                        log.info(`Deployment finished. Version updated to ${env.VersionLabel}`);
+                        log.info(`Status for ${application}-${environmentName} is ${env.Status}, Health: ${env.Health}, HealthStatus: ${env.HealthStatus}`);
+
+                        if (env.Health === 'Green') {
+                            succeed(env);
+                        } else {
+                            log.warn(`Environment update finished, but health is ${env.Health} and health status is ${env.HealthStatus}. Giving it ${waitForRecoverySeconds} seconds to recover...`);
+                            degraded = true;
+                            healThreshold = new Date(new Date().getTime() + waitForRecoverySeconds * SECOND);
+                            printHealthDetails(environmentName, log).then(() => setTimeout(update, waitPeriod));
+                        }
+                    } else {
+                        if (env.Health === 'Green') {
+                            log.info(`Environment has recovered, health is now ${env.Health}, health status is ${env.HealthStatus}`);
+                            succeed(env);
+                        } else {
+                            if (new Date().getTime() > healThreshold.getTime()) {
+                                printHealthDetails(environmentName, log).then(() => {
+                                    fail(new errors.DeploymentError(`Environment still has health ${env.Health} ${waitForRecoverySeconds} seconds after update finished!`, 1));
+                                });
+                            } else {
+                                let left = Math.floor((healThreshold.getTime() - new Date().getTime()) / 1000);
+                                log.warn(`Environment still has health: ${env.Health} and health status ${env.HealthStatus}. Waiting ${left} more seconds before failing...`);
+                                setTimeout(update, waitPeriod);
+                            }
+                        }
+                    }
+                } else if (deploymentFailed) {
+                    let msg = `Deployment failed! Current State: Version: ${env.VersionLabel}, Health: ${env.Health}, Health Status: ${env.HealthStatus}`;
+                    log.info(`${new Date().toISOString().substr(11, 8)} ERROR: ${msg}`);
+                    printHealthDetails(environmentName, log).then(() => fail(new errors.DeploymentError(msg, 2)));
+                } else {
+                    if (counter % 6 === 0 && !deploymentFailed) {
+                        log.info(`${new Date().toISOString().substr(11, 8)} INFO: Still updating, status is "${env.Status}", health is "${env.Health}", health status is "${env.HealthStatus}"`);
+                    }
+                    setTimeout(update, waitPeriod);
+                }
+            }).catch(fail);
+        }
+
+        update();
+    });
+}
+
+//Works out what deploy() would do, with only the calls that don't change anything, and prints it. The plan has the
+//reasons the deployment would be refused in blocked, so reviewers see them before the real run.
+function planDeployment(options) {
+    let { application, environmentNames, versionLabel, file, useExistingVersionIfAvailable } = options;
+    let plan = { dryRun: true, application, versionLabel, version: null, environments: [], blocked: [] };
+
+    return findVersion(application, versionLabel).then(existingVersion => {
+        if (existingVersion) {
+            let bundle = existingVersion.SourceBundle || {};
+            plan.version = { action: 'reuse', bucket: bundle.S3Bucket || null, s3Key: bundle.S3Key || null, sha256: null, upload: null };
+            if (environmentNames.length === 0) {
+                plan.version.action = 'none';
+                if (!useExistingVersionIfAvailable) {
+                    plan.blocked.push(`Version ${versionLabel} already exists, and "use_existing_version_if_available" is not set`);
+                }
+            } else if (file && !useExistingVersionIfAvailable) {
+                plan.blocked.push(`Version ${versionLabel} already exists, and "use_existing_version_if_available" is not set`);
+            }
+            return bundleContentHash(bundle).then(hash => plan.version.sha256 = hash);
+        }
+        if (!file) {
+            plan.blocked.push(`No deployment package given but version ${versionLabel} doesn't exist, so nothing to deploy`);
+            return;
+        }
+        return planNewVersion(options, plan);
+    }).then(() => planEnvironments(options, plan)).then(() => {
+        printPlan(plan, options);
+        return plan;
+    });
+}
+
+function planNewVersion(options, plan) {
+    let { application, versionLabel, file, bucket, upload } = options;
+    let s3filename = versionLabel.replace(/[^a-zA-Z0-9-_]/g, '-');
+    let s3Key = `/${upload.keyPrefix || application}/${s3filename}.zip`;
+    plan.version = { action: 'create', bucket, s3Key: s3Key.substr(1), sha256: null, upload: 'would be uploaded' };
+
+    return withDeploymentPackage(file, `${s3filename}.zip`, zipFile => {
+        return getFileSize(zipFile).then(() => contentHash.hashFile(zipFile));
+    }).then(hash => {
+        plan.version.sha256 = hash;
+        //Without a bucket the storage bucket is only known after CreateStorageLocation, which can't be called in a dry run
+        if (!bucket) {
+            plan.version.upload = 'would be uploaded to the Elastic Beanstalk storage bucket of the region, which is created if it doesn\'t exist, unless a version there has the same content';
+            return;
+        }
+        return checkIfFileExistsInS3(bucket, s3Key).then(result => {
+            let storedHash = null;
+            if (result.statusCode !== 200) {
+                expect(404, result);
+            } else {
+                storedHash = result.headers[contentHash.METADATA_HEADER];
+                if (storedHash !== hash) {
+                    plan.blocked.push(`s3://${bucket}${s3Key} already exists ${storedHash ? 'with different content' : 'without a content hash'}, and would not be overwritten`);
+                    return;
+                }
+                if (storedAsConfigured(result.headers, upload)) {
+                    plan.version.upload = 'already uploaded with the same content, would not be uploaded again';
+                    return;
+                }
+            }
+            return findBundleWithContent(application, hash, bucket, upload).then(existingBundle => {
+                if (existingBundle) {
+                    Object.assign(plan.version, { s3Key: existingBundle.s3Key.substr(1), upload: `the source bundle of version ${existingBundle.versionLabel} has the same content and would be used` });
+                } else if (storedHash) {
+                    plan.version.upload = 'already uploaded with the same content, but would be uploaded again with the configured encryption and storage class';
+                }
+            });
+        });
+    }).catch(err => {
+        if (!(err instanceof errors.ValidationError)) {
+            throw err;
+        }
+        plan.blocked.push(err.message);
+    });
+}
+
+function planEnvironments(options, plan) {
+    let { application, environmentNames, versionLabel, createEnvironment, waitForReadySeconds, productionCname, optionSettings, optionsToRemove } = options;
+
+    return Promise.all(environmentNames.map(environmentName => describeEnvironments(application, environmentName))).then(responses => {
+        let envs = responses.map(response => {
+            expect(200, response, `Failed in call to describeEnvironments`);
+            return response.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+        });
+
+        let targets = environmentNames;
+        if (productionCname && envs.every(env => env)) {
+            let liveEnvs = envs.filter(env => hasCname(env, productionCname));
+            if (liveEnvs.length !== 1) {
+                plan.blocked.push(`Expected exactly one of the environments ${environmentNames.join(' and ')} to have the production CNAME ${productionCname}, but ${liveEnvs.length} of them had it`);
+            } else {
+                targets = envs.filter(env => env !== liveEnvs[0]).map(env => env.EnvironmentName);
+            }
+        }
+
+        environmentNames.forEach((environmentName, i) => {
+            let env = envs[i];
+            let planned = { environmentName, exists: !!env && env.Status !== 'Terminated', currentVersion: env ? env.VersionLabel || null : null, status: env ? env.Status : null, health: env ? env.Health : null, action: 'deploy', notes: [] };
+            plan.environments.push(planned);
+
+            if (targets.indexOf(environmentName) === -1) {
+                planned.action = 'swap';
+                planned.notes.push(`has the production CNAME, would be swapped with ${targets[0]} once it's deployed`);
+            } else if (productionCname && targets.length === 1) {
+                planned.notes.push('idle environment of the blue/green pair, the CNAMEs would be swapped after the deployment');
+            }
+
+            if (!planned.exists) {
+                if (createEnvironment && !productionCname) {
+                    planned.action = 'create';
+                } else {
+                    planned.action = 'none';
+                    plan.blocked.push(`Environment ${environmentName} does not exist`);
+                }
+            } else if (env.Status === 'Terminating') {
+                planned.action = 'none';
+                plan.blocked.push(`Environment ${environmentName} is being terminated`);
+            } else if (env.Status !== 'Ready') {
+                if (waitForReadySeconds) {
+                    planned.notes.push(`is ${env.Status}, would wait up to ${waitForReadySeconds} seconds for it to be Ready`);
+                } else {
+                    plan.blocked.push(`Environment ${environmentName} is ${env.Status}, and deployments are only accepted when it's Ready`);
+                }
+            } else if (env.VersionLabel === versionLabel && planned.action !== 'swap') {
+                planned.notes.push(`is already running version ${versionLabel}, it would be deployed again`);
+            }
+            if (!plan.version) {
+                planned.action = 'none';
+            }
+        });
+
+        if (optionSettings.length === 0 && optionsToRemove.length === 0) {
+            return;
+        }
+        return Promise.all(plan.environments.filter(planned => planned.action === 'deploy').map(planned => {
+            return describeConfigurationSettings(application, planned.environmentName).then(result => {
+                expect(200, result, `Failed in call to describeConfigurationSettings`);
+                let currentSettings = result.data.DescribeConfigurationSettingsResponse.DescribeConfigurationSettingsResult.ConfigurationSettings[0].OptionSettings;
+                planned.configurationChanges = optionSettingsHelper.describeDiff(currentSettings, optionSettings, optionsToRemove);
+            });
+        }));
+    });
+}
+
+function printPlan(plan, options) {
+    let version = plan.version;
+    logger.info(' ***** Dry run, nothing was changed. The plan is: ***** ');
+    if (!version) {
+        logger.info(`Version ${plan.versionLabel}: nothing to deploy`);
+    } else if (version.action === 'create') {
+        logger.info(`Version ${plan.versionLabel}: would be created from ${options.file}, sha256 ${version.sha256 || 'unknown'}`);
+        logger.info(`    Source bundle: ${version.bucket ? `s3://${version.bucket}/${version.s3Key}` : version.s3Key}, ${version.upload}`);
+    } else {
+        logger.info(`Version ${plan.versionLabel}: already exists, would be ${version.action === 'none' ? 'left as it is' : 'deployed as it is'}`);
+        if (version.bucket) {
+            logger.info(`    Source bundle: s3://${version.bucket}/${version.s3Key}`);
+        }
+    }
+
+    for (let env of plan.environments) {
+        let current = env.exists ? `currently running ${env.currentVersion || 'no version'}, ${env.status}, health ${env.health}` : 'does not exist';
+        let action = { deploy: `would deploy version ${plan.versionLabel}`, create: `would be created with version ${plan.versionLabel}`, swap: 'would not be deployed to', none: 'would not be deployed to' }[env.action];
+        logger.info(`Environment ${env.environmentName}: ${current}, ${action}`);
+        for (let note of env.notes) {
+            logger.info(`    Note: ${note}`);
+        }
+        if (env.configurationChanges) {
+            logger.info(env.configurationChanges.length === 0 ? '    Configuration changes: none' : '    Configuration changes:');
+            env.configurationChanges.forEach(line => logger.info(`        ${line}`));
+        }
+    }
+    if (options.cleanup && plan.environments.length > 0) {
+        logger.info('Old versions would be cleaned up after a successful deployment.');
+    }
+
+    if (plan.blocked.length > 0) {
+        logger.info('');
+        logger.error(`The deployment would be blocked: ${plan.blocked.join('; ')}`);
+    } else {
+        logger.info('');
+        logger.info('The deployment would go ahead.');
+    }
+}
+
+//Settings for all AWS requests. They are shared by everything in the process, so deployments running at the same time
+//must use the same region and credentials.
+const AWS_SETTINGS = ['region', 'accessKey', 'secretKey', 'sessionToken', 'credentialProvider', 'endpointUrl', 'endpointUrls', 's3ForcePathStyle', 'maxBackoffRetries', 'requestTimeoutSeconds'];
+
+//Sets the region, credentials and endpoints to use. Anything not given keeps its current value, and by default the
+//region and access keys come from the same environment variables the AWS CLI uses. log is passed on to the logger,
+//e.g. { format: 'json', level: 'debug' } or { output: record => ... } to handle the log records yourself.
+function configure(settings) {
+    for (let name of AWS_SETTINGS) {
+        if (settings[name] !== undefined) {
+            awsApiRequest[name] = settings[name];
+        }
+    }
+    if (settings.log) {
+        logger.configure(settings.log);
+    }
+}
+
+//Fills in the defaults for everything that's optional, so the rest of the code doesn't have to check.
+function withDefaults(options) {
+    options = Object.assign({
+        environmentNames: options && options.environmentName ? [options.environmentName] : [],
+        versionDescription: '',
+        versionTags: [],
+        file: null,
+        bucket: null,
+        useExistingVersionIfAvailable: false,
+        waitUntilDeploymentIsFinished: true,
+        waitForRecoverySeconds: 30,
+        rollbackOnFailure: false,
+        deployInParallel: false,
+        productionCname: null,
+        optionSettings: [],
+        optionsToRemove: [],
+        createEnvironment: null,
+        cleanup: null,
+        smokeTest: null,
+        fetchLogs: { savePath: null },
+        deploymentTimeout: null,
+        waitForReadySeconds: 0,
+        dryRun: false,
+        events: new EventEmitter()
+    }, options);
+
+    options.upload = Object.assign({ multipartThreshold: 100 * MB, keyPrefix: null, serverSideEncryption: null, kmsKeyId: null, tags: [], storageClass: null }, options.upload);
+    if (options.createEnvironment) {
+        options.createEnvironment = Object.assign({ solutionStackName: null, platformArn: null, tier: 'WebServer', cnamePrefix: null }, options.createEnvironment);
+    }
+    if (options.cleanup) {
+        options.cleanup = Object.assign({ keepVersions: null, maxAgeDays: null, deleteSourceBundle: false, dryRun: false }, options.cleanup);
+    }
+    if (options.smokeTest) {
+        options.smokeTest = Object.assign({ paths: ['/'], baseUrl: null, expectedStatus: [200], bodyRegex: null, retries: 5, timeoutSeconds: 10, retryDelaySeconds: 10 }, options.smokeTest);
+    }
+    if (options.deploymentTimeout) {
+        options.deploymentTimeout = Object.assign({ abort: false }, options.deploymentTimeout);
+    }
+    return options;
+}
+
+//Checks the options that the AWS APIs would reject, or that don't make sense together, before anything is changed.
+function validateOptions(options, required) {
+    for (let name of required) {
+        if (!options[name] || (Array.isArray(options[name]) && options[name].length === 0)) {
+            throw new errors.ValidationError(`Option "${name}" is required`);
+        }
+    }
+    let { versionLabel, versionTags, environmentNames, waitUntilDeploymentIsFinished, upload, createEnvironment, cleanup, smokeTest, deploymentTimeout, productionCname } = options;
+
+    if (versionLabel && Array.from(versionLabel).length > 100) {
+        throw new errors.ValidationError(`Version label ${versionLabel} is longer than 100 characters, the maximum Beanstalk allows`);
+    }
+    if (versionTags.length > 50) {
+        throw new errors.ValidationError(`Application versions can have at most 50 tags, got ${versionTags.length}`);
+    }
+
+    if (upload.kmsKeyId && !upload.serverSideEncryption) {
+        upload.serverSideEncryption = 'aws:kms';
+    }
+    if (upload.serverSideEncryption && upload.serverSideEncryption !== 'AES256' && upload.serverSideEncryption !== 'aws:kms') {
+        throw new errors.ValidationError(`S3 server side encryption must be AES256 or aws:kms, got ${upload.serverSideEncryption}`);
+    }
+    if (upload.kmsKeyId && upload.serverSideEncryption !== 'aws:kms') {
+        throw new errors.ValidationError('A KMS key id can only be used with aws:kms server side encryption');
+    }
+    if (upload.storageClass && S3_STORAGE_CLASSES.indexOf(upload.storageClass) === -1) {
+        throw new errors.ValidationError(`S3 storage class must be one of ${S3_STORAGE_CLASSES.join(', ')}, got ${upload.storageClass}`);
+    }
+    if (upload.tags.length > 10) {
+        throw new errors.ValidationError(`S3 objects can have at most 10 tags, got ${upload.tags.length}`);
+    }
+    if (isNaN(upload.multipartThreshold) || upload.multipartThreshold <= 0) {
+        throw new errors.ValidationError('The multipart upload threshold must be a number, greater than 0');
+    }
+
+    if (createEnvironment) {
+        if (Boolean(createEnvironment.solutionStackName) === Boolean(createEnvironment.platformArn)) {
+            throw new errors.ValidationError('Creating missing environments requires exactly one of a solution stack name and a platform ARN');
+        }
+        if (createEnvironment.tier !== 'WebServer' && createEnvironment.tier !== 'Worker') {
+            throw new errors.ValidationError(`Environment tier must be WebServer or Worker, got ${createEnvironment.tier}`);
+        }
+        if (createEnvironment.cnamePrefix && environmentNames.length > 1) {
+            throw new errors.ValidationError('A CNAME prefix can only be used with a single environment, since CNAMEs must be unique');
+        }
+    }
+
+    if (cleanup) {
+        if (cleanup.keepVersions !== null && (isNaN(cleanup.keepVersions) || cleanup.keepVersions < 1)) {
+            throw new errors.ValidationError('The number of versions to keep must be a number, 1 or greater');
+        }
+        if (cleanup.maxAgeDays !== null && (isNaN(cleanup.maxAgeDays) || cleanup.maxAgeDays < 0)) {
+            throw new errors.ValidationError('The maximum age of versions must be a number of days, 0 or greater');
+        }
+    }
+
+    if (isNaN(options.waitForReadySeconds) || options.waitForReadySeconds < 0) {
+        throw new errors.ValidationError('The time to wait for the environment to be Ready must be a number of seconds');
+    }
+    if (deploymentTimeout && (isNaN(deploymentTimeout.seconds) || deploymentTimeout.seconds <= 0)) {
+        throw new errors.ValidationError('The deployment timeout must be a number of seconds, greater than 0');
+    }
+
+    if (smokeTest) {
+        if (smokeTest.expectedStatus.some(code => Number.isNaN(code)) || Number.isNaN(smokeTest.retries) || Number.isNaN(smokeTest.timeoutSeconds)) {
+            throw new errors.ValidationError('The smoke test expected status, retries and timeout must be numbers');
+        }
+        if (!waitUntilDeploymentIsFinished) {
+            throw new errors.ValidationError('Smoke tests require waiting for the deployment, since they run once it has finished');
+        }
+    }
+
+    if (productionCname) {
+        if (environmentNames.length !== 2) {
+            throw new errors.ValidationError(`Blue/green deployment with a production CNAME requires exactly two environments, got ${environmentNames.length}`);
+        }
+        if (!waitUntilDeploymentIsFinished) {
+            throw new errors.ValidationError('Blue/green deployment with a production CNAME requires waiting for the deployment, since we can only swap the CNAMEs once it has finished');
+        }
+    }
+}
+
+function newResult(options) {
+    return {
+        application: options.application,
+        versionLabel: options.versionLabel,
+        versionCreated: false,
+        bucket: null,
+        s3Key: null,
+        sha256: null,
+        reusedBundle: false,
+        environments: [],
+        exitCode: null
+    };
+}
+
+function findVersion(application, versionLabel) {
+    return getApplicationVersion(application, versionLabel).then(response => {
+        expect(200, response);
+        return response.data.DescribeApplicationVersionsResponse.DescribeApplicationVersionsResult.ApplicationVersions[0];
+    });
+}
+
+//When something fails the result still has what happened up to that point, and the state the environments were left
+//in, so callers can report it.
+function failDeployment(result, options, err) {
+    result.exitCode = err.exitCode || 2;
+    return addFinalState(result, options.application).then(() => {
+        err.result = result;
+        throw err;
+    });
+}
+
+//Deploys a version to the environments, first creating the version from options.file if it doesn't exist. This is what
+//the GitHub Action and the command line program do. Resolves with the result, or rejects with one of the errors in
+//errors.js, or a network error. If the deployment didn't succeed in every environment, e.g. one was rolled back, it's a
+//DeploymentError with the exit code and result. With dryRun nothing is changed, and it resolves with the plan instead.
+function deploy(options) {
+    let result;
+    return Promise.resolve().then(() => {
+        options = withDefaults(options);
+        validateOptions(options, ['application', 'versionLabel']);
+        result = newResult(options);
+        return resolveCredentials();
+    }).then(() => {
+        if (options.dryRun) {
+            return planDeployment(options);
+        }
+        return deployOrCreateVersion(options, result);
+    });
+}
+
+function deployOrCreateVersion(options, result) {
+    return findVersion(options.application, options.versionLabel).then(existingVersion => {
+        let { application, environmentNames, versionLabel, file, useExistingVersionIfAvailable } = options;
+
+        if (existingVersion) {
+            if (environmentNames.length === 0) {
+                if (!useExistingVersionIfAvailable) {
+                    throw new errors.VersionExistsError(`You have no environment set, so we are trying to only create version ${versionLabel}, but it already exists in Beanstalk and the parameter "use_existing_version_if_available" is not set to "true". If you want this to result in a no-op when the version already exists you must set "use_existing_version_if_available" to "true"`);
+                }
+                logger.info(`No environment set, but the version ${versionLabel} was found and "use_existing_version_if_available" is set to "true" - exiting successfully with no change`);
+                return 0;
+            }
+            if (file && !useExistingVersionIfAvailable) {
+                throw new errors.VersionExistsError(`Version ${versionLabel} already exists. Either remove the "deployment_package" parameter to deploy existing version, or set the "use_existing_version_if_available" parameter to "true" to use existing version if it exists and deployment package if it doesn't.`);
+            }
+            if (file) {
+                logger.info(`Ignoring deployment package ${file} since version ${versionLabel} already exists and "use_existing_version_if_available" is set to true.`);
+            }
+            logger.info(`Deploying existing version ${versionLabel}, version info:`);
+            logger.info(JSON.stringify(existingVersion, null, 2));
+            return deployToEnvironments(application, environmentNames, versionLabel, options, result.environments);
+        }
+
+        if (!file) {
+            throw new errors.ValidationError(`No deployment package given but version ${versionLabel} doesn't exist, so nothing to deploy!`);
+        }
+        return uploadAndCreateVersion(options, result).then(() => {
+            if (environmentNames.length === 0) {
+                logger.info(`No environment name given, so exiting now without deploying the new version ${versionLabel} anywhere.`);
+                return 0;
+            }
+            return deployToEnvironments(application, environmentNames, versionLabel, options, result.environments);
+        });
+    }).then(exitCode => finishDeployment(result, exitCode, options), err => {
+        if (err instanceof errors.DeploymentError) {
+            throw err;
+        }
+        return failDeployment(result, options, err);
+    });
+}
+
+//Uploads options.file and creates a new version from it, without deploying it anywhere. Resolves with the version
+//details. If the version already exists that's a VersionExistsError, unless useExistingVersionIfAvailable is set.
+function createVersion(options) {
+    let result;
+    return Promise.resolve().then(() => {
+        options = withDefaults(options);
+        validateOptions(options, ['application', 'versionLabel', 'file']);
+        result = newResult(options);
+        return resolveCredentials();
+    }).then(() => {
+        if (options.dryRun) {
+            return planDeployment(Object.assign({}, options, { environmentNames: [] }));
+        }
+        return findVersion(options.application, options.versionLabel).then(existingVersion => {
+            if (!existingVersion) {
+                return uploadAndCreateVersion(options, result);
+            }
+            if (!options.useExistingVersionIfAvailable) {
+                throw new errors.VersionExistsError(`Version ${options.versionLabel} already exists`);
+            }
+            logger.info(`Version ${options.versionLabel} already exists, using it.`);
+            let bundle = existingVersion.SourceBundle || {};
+            return bundleContentHash(bundle).then(sha256 => Object.assign(result, { bucket: bundle.S3Bucket || null, s3Key: bundle.S3Key || null, sha256 }));
+        }).then(result => {
+            delete result.environments;
+            delete result.exitCode;
+            return result;
+        });
+    });
+}
+
+//Deploys a version that already exists to the environments. Resolves and rejects like deploy().
+function deployExistingVersion(options) {
+    let result;
+    return Promise.resolve().then(() => {
+        options = withDefaults(options);
+        validateOptions(options, ['application', 'versionLabel', 'environmentNames']);
+        result = newResult(options);
+        return resolveCredentials();
+    }).then(() => findVersion(options.application, options.versionLabel)).then(existingVersion => {
+        if (!existingVersion) {
+            throw new errors.ValidationError(`Version ${options.versionLabel} does not exist`);
+        }
+        logger.info(`Deploying existing version ${options.versionLabel}`);
+        return deployToEnvironments(options.application, options.environmentNames, options.versionLabel, options, result.environments);
+    }).then(exitCode => finishDeployment(result, exitCode, options), err => {
+        if (!result || err instanceof errors.DeploymentError) {
+            throw err;
+        }
+        return failDeployment(result, options, err);
+    });
+}
+
+//Waits for a deployment that has already been started, e.g. with waitUntilDeploymentIsFinished false, to finish.
+//Resolves with the environment, as returned by DescribeEnvironments, once it's running the version and is Green.
+function waitForDeployment(options) {
+    return Promise.resolve().then(() => {
+        options = withDefaults(options);
+        validateOptions(options, ['application', 'environmentName', 'versionLabel']);
+        return resolveCredentials();
+    }).then(() => {
+        let log = environmentLog(options.environmentName, false, options.events);
+        return watchDeployment(options.application, options.environmentName, options.versionLabel, options.startTime || new Date(), options.waitForRecoverySeconds, options.deploymentTimeout, log);
+    });
+}
+
+//Terminates the environments one at a time. Environments that don't exist (or are already terminated) are skipped, so
+//this can safely run more than once, e.g. both when a pull request is closed and when it is merged. Resolves with the
+//names of the environments that were terminated, or with dryRun would have been.
+function terminateEnvironments(options) {
+    let terminated = [];
+    return Promise.resolve().then(() => {
+        options = Object.assign({ waitUntilTerminated: true }, withDefaults(options));
+        validateOptions(options, ['application', 'environmentNames']);
+        return resolveCredentials();
+    }).then(() => {
+        let { application, environmentNames, waitUntilTerminated, dryRun, events } = options;
+        return environmentNames.reduce((previous, environmentName) => {
+            let start;
+            return previous.then(() => describeEnvironments(application, environmentName)).then(response => {
+                expect(200, response, `Failed in call to describeEnvironments`);
+                let env = response.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+                if (!env || env.Status === 'Terminated') {
+                    logger.info(`Environment ${environmentName} does not exist, nothing to terminate.`);
+                    return;
+                }
+                terminated.push(environmentName);
+                if (dryRun) {
+                    logger.info(`Environment ${environmentName} is ${env.Status}, running version ${env.VersionLabel}, and would be terminated.`);
+                    return;
+                }
+                start = new Date();
+                if (env.Status === 'Terminating') {
+                    logger.info(`Environment ${environmentName} is already being terminated.`);
+                } else {
+                    logger.info(`Terminating environment ${environmentName}`);
+                    return terminateBeanstalkEnvironment(application, environmentName).then(response => {
+                        expect(200, response, `Failed to terminate environment ${environmentName}`);
+                    });
+                }
+            }).then(() => {
+                if (start && waitUntilTerminated) {
+                    return waitForTermination(application, environmentName, start, environmentLog(environmentName, false, events));
+                }
+            });
+        }, Promise.resolve());
+    }).then(() => {
+        if (options.dryRun) {
+            logger.info('Dry run, nothing was terminated.');
+        } else {
+            logger.info(options.waitUntilTerminated ? 'Termination finished.' : 'Termination started, not waiting for it to finish.');
+        }
+        return terminated;
+    });
+}
+
+//The current state of the environments, with the last events Beanstalk logged for each, newest first. Without
+//environmentNames it's all the application's environments.
+function describeStatus(options) {
+    return Promise.resolve().then(() => {
+        options = Object.assign({ eventCount: 10 }, withDefaults(options));
+        validateOptions(options, ['application']);
+        return resolveCredentials();
+    }).then(() => {
+        if (options.environmentNames.length === 0) {
+            return describeApplicationEnvironments(options.application);
+        }
+        return Promise.all(options.environmentNames.map(environmentName => describeEnvironments(options.application, environmentName).then(response => {
+            expect(200, response, `Failed in call to describeEnvironments`);
+            let env = response.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments[0];
+            if (!env) {
+                throw new errors.ValidationError(`Environment ${environmentName} does not exist in application ${options.application}`);
+            }
+            return env;
+        })));
+    }).then(envs => Promise.all(envs.map(env => {
+        return describeRecentEvents(options.application, env.EnvironmentName, options.eventCount).then(response => {
+            expect(200, response, `Failed in call to describeEvents`);
+            return {
+                environmentName: env.EnvironmentName,
+                environmentId: env.EnvironmentId,
+                status: env.Status,
+                health: env.Health,
+                healthStatus: env.HealthStatus,
+                versionLabel: env.VersionLabel,
+                cname: env.CNAME,
+                dateUpdated: new Date(env.DateUpdated * 1000),
+                events: response.data.DescribeEventsResponse.DescribeEventsResult.Events.map(ev => ({ date: new Date(ev.EventDate * 1000), severity: ev.Severity, message: ev.Message }))
+            };
+        });
+    })));
+}
+
+//All the versions of the application, newest first, with the environments each one is deployed to.
+function listVersions(options) {
+    return Promise.resolve().then(() => {
+        options = withDefaults(options);
+        validateOptions(options, ['application']);
+        return resolveCredentials();
+    }).then(() => Promise.all([describeAllApplicationVersions(options.application), describeApplicationEnvironments(options.application)])).then(([versions, envs]) => {
+        return versions.sort((a, b) => b.DateCreated - a.DateCreated).map(version => ({
+            versionLabel: version.VersionLabel,
+            description: version.Description || '',
+            dateCreated: new Date(version.DateCreated * 1000),
+            status: version.Status,
+            bucket: version.SourceBundle ? version.SourceBundle.S3Bucket : null,
+            s3Key: version.SourceBundle ? version.SourceBundle.S3Key : null,
+            deployedTo: envs.filter(env => env.VersionLabel === version.VersionLabel).map(env => env.EnvironmentName)
+        }));
+    });
+}
+
+module.exports = Object.assign({
+    configure,
+    deploy,
+    createVersion,
+    deployExistingVersion,
+    waitForDeployment,
+    terminateEnvironments,
+    describeStatus,
+    listVersions
+}, errors);
@@ -0,0 +1,102 @@
+const errors = require('./errors');
+
+//Everything beanstalk-deploy logs goes through here. By default it's printed as text, with annotations and ::group::
+//folding when running as a GitHub Action. In json format each line is a record with the time, level, type and message,
+//plus fields that depend on the type, e.g. an environmentState record has the status and health of the environment.
+//Some records, like the final result, only have fields and aren't printed as text at all.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['text', 'json'];
+
+const settings = {
+    format: 'text',
+    level: 'info',
+    githubActions: false,
+    output: null //Function that gets every record instead of it being printed, to plug in your own logging
+};
+
+let groupDepth = 0, groupOpen = false;
+
+function configure(options) {
+    for (let name of Object.keys(settings)) {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    }
+    if (LEVELS.indexOf(settings.level) === -1) {
+        throw new errors.ValidationError(`Log level must be one of ${LEVELS.join(', ')}, got ${settings.level}`);
+    }
+    if (FORMATS.indexOf(settings.format) === -1) {
+        throw new errors.ValidationError(`Log format must be one of ${FORMATS.join(', ')}, got ${settings.format}`);
+    }
+}
+
+//Workflow commands end at the first newline, so multiline messages have to be escaped to show up in full.
+function escapeCommand(message) {
+    return message.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function write(level, message, fields) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) {
+        return;
+    }
+    let record = Object.assign({ time: new Date().toISOString(), level, type: 'message' }, message === null ? {} : { message }, fields);
+
+    if (settings.output) {
+        settings.output(record);
+    } else if (settings.format === 'json') {
+        if (message !== '') { //Blank lines are only there to make the text easier to read
+            process.stdout.write(JSON.stringify(record) + '\n');
+        }
+    } else if (message === null) {
+        return;
+    } else if (settings.githubActions && level !== 'info') {
+        process.stdout.write(`::${level === 'warn' ? 'warning' : level}::${escapeCommand(String(message))}\n`);
+    } else if (level === 'warn' || level === 'error') {
+        process.stderr.write(message + '\n');
+    } else {
+        process.stdout.write(message + '\n');
+    }
+}
+
+function debug(message, fields) {
+    write('debug', message, fields);
+}
+
+function info(message, fields) {
+    write('info', message, fields);
+}
+
+function warn(message, fields) {
+    write('warn', message, fields);
+}
+
+function error(message, fields) {
+    write('error', message, fields);
+}
+
+//A record with only fields, for json and custom output. Text output already has the same information in messages.
+function record(type, fields, level = 'info') {
+    write(level, null, Object.assign({ type }, fields));
+}
+
+//Folds the lines until endGroup() in the GitHub Actions log. GitHub can't nest groups, so a group inside a group is just
+//a heading, like all groups are outside of GitHub Actions.
+function group(title) {
+    groupDepth++;
+    if (groupDepth === 1 && settings.githubActions && settings.format === 'text' && !settings.output) {
+        groupOpen = true;
+        process.stdout.write(`::group::${escapeCommand(title)}\n`);
+    } else {
+        write('info', ` ***** ${title} ***** `, { type: 'group', title });
+    }
+}
+
+function endGroup() {
+    groupDepth = Math.max(groupDepth - 1, 0);
+    if (groupDepth === 0 && groupOpen) {
+        groupOpen = false;
+        process.stdout.write('::endgroup::\n');
+    }
+}
+
+module.exports = { configure, debug, info, warn, error, record, group, endGroup };
@@ -0,0 +1,177 @@
+const fs = require('fs'),
+    yaml = require('./simple-yaml');
+
+const ENVIRONMENT_NAMESPACE = 'aws:elasticbeanstalk:application:environment';
+
+//Option settings are objects with Namespace, OptionName, Value and optionally ResourceName, the same as the
+//Elastic Beanstalk API uses. Options to remove are the same minus the Value.
+
+//Parses KEY=VALUE lines into environment property option settings. Only newlines separate properties, since values
+//can contain commas.
+function parseEnvironmentProperties(text) {
+    let settings = [];
+    for (let line of (text || '').split('\n')) {
+        line = line.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+        let separator = line.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid environment property "${line}", expected KEY=VALUE`);
+        }
+        settings.push({ Namespace: ENVIRONMENT_NAMESPACE, OptionName: line.substr(0, separator).trim(), Value: line.substr(separator + 1).trim() });
+    }
+    return settings;
+}
+
+//Reads option settings from a JSON or YAML file. The file can contain either a list of settings in the same format as
+//the AWS CLI uses, [{"Namespace": "aws:autoscaling:asg", "OptionName": "MinSize", "Value": "2"}], or namespaces
+//mapping to options, like option_settings in .ebextensions: {"aws:autoscaling:asg": {"MinSize": 2}}. Either can also
+//be under an "option_settings" key, next to an "options_to_remove" list.
+function readOptionSettingsFile(file) {
+    let text = fs.readFileSync(file, 'utf8');
+    let content;
+    try {
+        content = /\.json$/i.test(file) ? JSON.parse(text) : yaml.parse(text);
+    } catch (err) {
+        throw new Error(`Failed to parse option settings file ${file}: ${err.message}`);
+    }
+
+    let optionSettings = content, optionsToRemove = [];
+    if (content && !Array.isArray(content) && (content.option_settings || content.options_to_remove)) {
+        optionSettings = content.option_settings || [];
+        optionsToRemove = parseOptionsToRemove(content.options_to_remove || []);
+    }
+
+    return { optionSettings: normalizeOptionSettings(optionSettings || [], file), optionsToRemove };
+}
+
+function normalizeOptionSettings(settings, file) {
+    if (Array.isArray(settings)) {
+        return settings.map(setting => {
+            if (!setting || !setting.Namespace || !setting.OptionName) {
+                throw new Error(`Invalid option setting ${JSON.stringify(setting)} in ${file}, Namespace and OptionName are required`);
+            }
+            return Object.assign({}, setting, { Value: stringValue(setting.Value) });
+        });
+    }
+
+    let result = [];
+    for (let namespace of Object.keys(settings)) {
+        let options = settings[namespace];
+        if (!options || typeof options !== 'object') {
+            throw new Error(`Invalid options for namespace ${namespace} in ${file}, expected OptionName: Value pairs`);
+        }
+        for (let optionName of Object.keys(options)) {
+            result.push({ Namespace: namespace, OptionName: optionName, Value: stringValue(options[optionName]) });
+        }
+    }
+    return result;
+}
+
+function stringValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    //Lists, like security groups, are comma separated strings in Beanstalk
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+//Options to remove are given as "namespace:OptionName", where the option name is the part after the last colon, or as
+//objects with Namespace and OptionName.
+function parseOptionsToRemove(items) {
+    return items.map(item => {
+        if (typeof item === 'object') {
+            return { Namespace: item.Namespace, OptionName: item.OptionName };
+        }
+        let separator = item.lastIndexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid option to remove "${item}", expected namespace:OptionName`);
+        }
+        return { Namespace: item.substr(0, separator), OptionName: item.substr(separator + 1) };
+    });
+}
+
+//Adds the settings to the querystring, the way the Query API wants lists...
+function addToQuerystring(querystring, optionSettings, optionsToRemove) {
+    optionSettings.forEach((setting, i) => {
+        let prefix = `OptionSettings.member.${i + 1}`;
+        querystring[`${prefix}.Namespace`] = setting.Namespace;
+        querystring[`${prefix}.OptionName`] = setting.OptionName;
+        querystring[`${prefix}.Value`] = setting.Value;
+        if (setting.ResourceName) {
+            querystring[`${prefix}.ResourceName`] = setting.ResourceName;
+        }
+    });
+    optionsToRemove.forEach((option, i) => {
+        querystring[`OptionsToRemove.member.${i + 1}.Namespace`] = option.Namespace;
+        querystring[`OptionsToRemove.member.${i + 1}.OptionName`] = option.OptionName;
+    });
+    return querystring;
+}
+
+function settingKey(setting) {
+    return `${setting.ResourceName ? setting.ResourceName + '/' : ''}${setting.Namespace}:${setting.OptionName}`;
+}
+
+//DescribeConfigurationSettings gives options in some namespaces a ResourceName, e.g. AWSEBAutoScalingGroup for MinSize,
+//while the settings we are given usually have none. Without a ResourceName an option matches on namespace and name alone.
+function findCurrent(currentSettings, option) {
+    return currentSettings.find(setting => setting.Namespace === option.Namespace && setting.OptionName === option.OptionName &&
+        (!option.ResourceName || setting.ResourceName === option.ResourceName));
+}
+
+//Describes what will change compared to the environment's current configuration, one line per option. Environment
+//properties often hold secrets, and only the new values are masked in GitHub Actions, so for them only the names are shown.
+function describeDiff(currentSettings, optionSettings, optionsToRemove) {
+    let hidden = setting => setting.Namespace === ENVIRONMENT_NAMESPACE;
+
+    let lines = [];
+    for (let setting of optionSettings) {
+        let k = settingKey(setting), current = findCurrent(currentSettings, setting);
+        if (!current || current.Value === undefined) {
+            lines.push(hidden(setting) ? `+ ${k} (added)` : `+ ${k} = ${setting.Value}`);
+        } else if (current.Value !== setting.Value) {
+            lines.push(hidden(setting) ? `~ ${k} (changed)` : `~ ${k} = ${current.Value} -> ${setting.Value}`);
+        }
+    }
+    for (let option of optionsToRemove) {
+        let k = settingKey(option), current = findCurrent(currentSettings, option);
+        if (!current) {
+            lines.push(`- ${k} (not currently set)`);
+        } else {
+            lines.push(hidden(option) ? `- ${k} (removed)` : `- ${k} (was ${current.Value})`);
+        }
+    }
+    return lines;
+}
+
+function printDiff(currentSettings, optionSettings, optionsToRemove, log) {
+    let lines = describeDiff(currentSettings, optionSettings, optionsToRemove);
+    if (lines.length === 0) {
+        log.info('Option settings are the same as the current configuration, no configuration changes.');
+    } else {
+        log.info('Configuration changes:');
+        lines.forEach(line => log.info('    ' + line));
+    }
+}
+
+//The settings that put the options changed by optionSettings and optionsToRemove back the way they are in
+//currentSettings, for rolling back a failed deployment. Options that weren't set before are removed again. The old value
+//is restored with the ResourceName the environment has it under.
+function settingsToRestore(currentSettings, optionSettings, optionsToRemove) {
+    let restore = { optionSettings: [], optionsToRemove: [] };
+    for (let option of optionSettings.concat(optionsToRemove)) {
+        let current = findCurrent(currentSettings, option);
+        let resourceName = current ? current.ResourceName : option.ResourceName;
+        let restored = Object.assign({ Namespace: option.Namespace, OptionName: option.OptionName }, resourceName ? { ResourceName: resourceName } : {});
+        if (current && current.Value !== undefined) {
+            restore.optionSettings.push(Object.assign(restored, { Value: current.Value }));
+        } else if (optionsToRemove.indexOf(option) === -1) {
+            restore.optionsToRemove.push(restored);
+        }
+    }
+    return restore;
+}
+
+module.exports = { parseEnvironmentProperties, readOptionSettingsFile, parseOptionsToRemove, addToQuerystring, describeDiff, printDiff, settingsToRestore };
@@ -0,0 +1,161 @@
+const awsApiRequest = require('./aws-api-request'),
+    fs = require('fs'),
+    logger = require('./logger');
+
+const MB = 1024 * 1024;
+const MIN_PART_SIZE = 16 * MB;
+const MAX_PARTS = 10000; //S3 limit
+const MAX_PART_ATTEMPTS = 4;
+
+//Uploads a file to S3 using a multipart upload. Only one part is read into memory at a time, and each part is retried
+//on its own if it fails, so a network blip doesn't mean starting over with a huge file. If the upload fails it is
+//aborted, so S3 doesn't keep the already uploaded parts around (and bill for them). Headers, e.g. object metadata, are
+//sent with CreateMultipartUpload.
+function uploadFileToS3Multipart(bucket, s3Key, file, fileSize, headers = {}) {
+    let partSize = Math.max(MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS / MB) * MB);
+    let partCount = Math.ceil(fileSize / partSize);
+    let uploadId, fd;
+    let parts = [];
+
+    return s3Request(bucket, s3Key, 'POST', { uploads: '' }, '', Object.assign({ 'Content-Type': 'application/octet-stream' }, headers)).then(result => {
+        expectS3(200, result, 'Failed to start multipart upload');
+        uploadId = xmlValue(result.data, 'UploadId');
+        if (!uploadId) {
+            throw new Error(`No UploadId in response to CreateMultipartUpload: ${result.data}`);
+        }
+        logger.info(`Started multipart upload of ${formatSize(fileSize)} in ${partCount} parts of ${formatSize(partSize)}`);
+        return openFile(file);
+    }).then(result => {
+        fd = result;
+        let buffer = Buffer.alloc(partSize);
+
+        function uploadNextPart() {
+            let partNumber = parts.length + 1;
+            if (partNumber > partCount) {
+                return Promise.resolve();
+            }
+            let position = (partNumber - 1) * partSize;
+            return readChunk(fd, buffer, Math.min(partSize, fileSize - position), position).then(chunk => {
+                return uploadPart(bucket, s3Key, uploadId, partNumber, chunk);
+            }).then(etag => {
+                parts.push({ partNumber, etag });
+                logger.info(`Uploaded part ${partNumber}/${partCount} (${formatSize(Math.min(partNumber * partSize, fileSize))} of ${formatSize(fileSize)})`);
+                return uploadNextPart();
+            });
+        }
+
+        return uploadNextPart();
+    }).then(() => {
+        return s3Request(bucket, s3Key, 'POST', { uploadId }, completeMultipartUploadXml(parts), { 'Content-Type': 'application/xml' });
+    }).then(result => {
+        //CompleteMultipartUpload can fail after it has returned 200, the error is then in the body.
+        expectS3(200, result, 'Failed to complete multipart upload');
+        if (String(result.data).indexOf('<Error>') !== -1) {
+            throw new Error(`Failed to complete multipart upload: ${result.data}`);
+        }
+        return closeFile(fd).catch(() => {});
+    }).then(() => result200()).catch(err => {
+        let cleanup = fd !== undefined ? closeFile(fd).catch(() => {}) : Promise.resolve();
+        if (!uploadId) {
+            return cleanup.then(() => { throw err; });
+        }
+        logger.warn(`Multipart upload failed, aborting it so no uploaded parts are left behind...`);
+        return cleanup.then(() => abortMultipartUpload(bucket, s3Key, uploadId)).then(() => { throw err; });
+    });
+}
+
+//Uploads a single part, retrying a few times with increasing delays before giving up on the whole upload.
+function uploadPart(bucket, s3Key, uploadId, partNumber, chunk, attempt = 1) {
+    return s3Request(bucket, s3Key, 'PUT', { partNumber, uploadId }, chunk, { 'Content-Type': 'application/octet-stream' }).then(result => {
+        expectS3(200, result, `Failed to upload part ${partNumber}`);
+        return result.headers.etag;
+    }).catch(err => {
+        if (attempt >= MAX_PART_ATTEMPTS) {
+            throw err;
+        }
+        let delay = Math.pow(2, attempt) * 1000;
+        logger.warn(`Upload of part ${partNumber} failed (attempt ${attempt}): ${err.message}. Retrying in ${delay}ms...`);
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() => uploadPart(bucket, s3Key, uploadId, partNumber, chunk, attempt + 1));
+    });
+}
+
+function abortMultipartUpload(bucket, s3Key, uploadId) {
+    return s3Request(bucket, s3Key, 'DELETE', { uploadId }, '').then(result => {
+        if (result.statusCode === 204) {
+            logger.info(`Aborted multipart upload ${uploadId}`);
+        } else {
+            logger.warn(`Failed to abort multipart upload ${uploadId}, status: ${result.statusCode}. You may want to delete the incomplete upload manually, or set up a lifecycle rule for it on the bucket.`);
+        }
+    }).catch(err => {
+        logger.warn(`Failed to abort multipart upload ${uploadId}: ${err}. You may want to delete the incomplete upload manually, or set up a lifecycle rule for it on the bucket.`);
+    });
+}
+
+function s3Request(bucket, s3Key, method, querystring, payload, headers = {}) {
+    return awsApiRequest({
+        service: 's3',
+        bucket,
+        path: s3Key,
+        method,
+        querystring,
+        headers,
+        payload
+    });
+}
+
+function completeMultipartUploadXml(parts) {
+    let xml = '<CompleteMultipartUpload xmlns="http://s3.amazonaws.com/doc/2006-03-01/">';
+    for (let part of parts) {
+        xml += `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`;
+    }
+    return xml + '</CompleteMultipartUpload>';
+}
+
+//S3 answers in XML, we only ever need a single value from it so no point in a real XML parser.
+function xmlValue(xml, tag) {
+    let match = String(xml).match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+    return match ? match[1] : null;
+}
+
+function expectS3(status, result, message) {
+    if (result.statusCode !== status) {
+        throw new Error(`${message}. Status: ${result.statusCode}. Message: ${result.data}`);
+    }
+}
+
+//Looks like the result of a single PUT, so callers don't need to care which kind of upload was done.
+function result200() {
+    return { statusCode: 200, headers: {}, data: '' };
+}
+
+function formatSize(bytes) {
+    return `${(bytes / MB).toFixed(1)} MB`;
+}
+
+function openFile(path) {
+    return new Promise((resolve, reject) => {
+        fs.open(path, 'r', (err, fd) => err ? reject(err) : resolve(fd));
+    });
+}
+
+function readChunk(fd, buffer, length, position) {
+    return new Promise((resolve, reject) => {
+        fs.read(fd, buffer, 0, length, position, (err, bytesRead) => {
+            if (err) {
+                reject(err);
+            } else if (bytesRead !== length) {
+                reject(new Error(`Expected to read ${length} bytes at position ${position}, but got ${bytesRead}. Was the file modified during the upload?`));
+            } else {
+                resolve(buffer.subarray(0, length));
+            }
+        });
+    });
+}
+
+function closeFile(fd) {
+    return new Promise((resolve, reject) => {
+        fs.close(fd, err => err ? reject(err) : resolve());
+    });
+}
+
+module.exports = uploadFileToS3Multipart;
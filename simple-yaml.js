@@ -0,0 +1,271 @@
+//A small YAML parser, since the action has no dependencies (it runs straight from the repository, without npm install).
+//It handles what people write in config files: nested mappings and sequences, plain, quoted and block (| and >)
+//scalars, [a, b] and {a: b} on a single line, and comments. Anchors, tags, multiple documents and multiline flow
+//collections are not supported.
+
+function parse(text) {
+    let lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        let content = stripComment(raw);
+        if (content.trim() === '' || content.trim() === '---') {
+            lines.push({ blank: true, raw, number: i + 1 });
+        } else {
+            lines.push({ indent: content.search(/\S/), content: content.trim(), raw, number: i + 1 });
+        }
+    });
+
+    let start = nextLine(lines, 0);
+    if (start >= lines.length) {
+        return null;
+    }
+    let [value, end] = parseBlock(lines, start, lines[start].indent);
+    end = nextLine(lines, end);
+    if (end < lines.length) {
+        throw yamlError(lines[end], 'unexpected indentation');
+    }
+    return value;
+}
+
+function parseBlock(lines, i, indent) {
+    if (isSequenceItem(lines[i].content)) {
+        return parseSequence(lines, i, indent);
+    }
+    return parseMapping(lines, i, indent);
+}
+
+function parseSequence(lines, i, indent) {
+    let result = [];
+    while (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i].content)) {
+        let line = lines[i];
+        let rest = line.content.substr(1).trim();
+        if (rest === '') {
+            let child = nextLine(lines, i + 1);
+            if (child < lines.length && lines[child].indent > indent) {
+                let [value, next] = parseBlock(lines, child, lines[child].indent);
+                result.push(value);
+                i = nextLine(lines, next);
+            } else {
+                result.push(null);
+                i = child;
+            }
+        } else if (isSequenceItem(rest) || splitKeyValue(rest)) {
+            //"- key: value" starts a mapping (or "- - x" a sequence) whose first line is on the same line as the dash,
+            //so treat the rest of the line as if it were on a line of its own, indented to where it starts.
+            let itemIndent = indent + line.content.indexOf(rest);
+            lines[i] = { indent: itemIndent, content: rest, raw: line.raw, number: line.number };
+            let [value, next] = parseBlock(lines, i, itemIndent);
+            result.push(value);
+            i = nextLine(lines, next);
+        } else {
+            let [value, next] = parseValue(lines, i, rest, indent);
+            result.push(value);
+            i = nextLine(lines, next);
+        }
+    }
+    return [result, i];
+}
+
+function parseMapping(lines, i, indent) {
+    let result = {};
+    while (i < lines.length && lines[i].indent === indent && !isSequenceItem(lines[i].content)) {
+        let line = lines[i];
+        let kv = splitKeyValue(line.content);
+        if (!kv) {
+            throw yamlError(line, 'expected "key: value"');
+        }
+        let [key, rest] = kv;
+        if (rest === '') {
+            let child = nextLine(lines, i + 1);
+            //Sequences are allowed at the same indentation as their key
+            if (child < lines.length && (lines[child].indent > indent || (lines[child].indent === indent && isSequenceItem(lines[child].content)))) {
+                let [value, next] = parseBlock(lines, child, lines[child].indent);
+                result[key] = value;
+                i = nextLine(lines, next);
+            } else {
+                result[key] = null;
+                i = child;
+            }
+        } else {
+            let [value, next] = parseValue(lines, i, rest, indent);
+            result[key] = value;
+            i = nextLine(lines, next);
+        }
+    }
+    return [result, i];
+}
+
+//Parses the value after "key:" or "-", which may continue on the following lines for block scalars.
+function parseValue(lines, i, text, indent) {
+    let blockMatch = text.match(/^([|>])([+-]?)$/);
+    if (blockMatch) {
+        return parseBlockScalar(lines, i + 1, indent, blockMatch[1], blockMatch[2]);
+    }
+    return [parseScalarOrFlow(text, lines[i]), i + 1];
+}
+
+function parseBlockScalar(lines, i, indent, style, chomping) {
+    let collected = [];
+    let blockIndent = null;
+    while (i < lines.length) {
+        let raw = lines[i].raw;
+        if (raw.trim() === '') {
+            collected.push('');
+            i++;
+            continue;
+        }
+        let lineIndent = raw.search(/\S/);
+        if (lineIndent <= indent) {
+            break;
+        }
+        if (blockIndent === null) {
+            blockIndent = lineIndent;
+        }
+        collected.push(raw.substr(blockIndent));
+        i++;
+    }
+    //Trailing blank lines don't belong to the scalar, except with the keep (+) indicator
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+        collected.pop();
+        trailing++;
+    }
+    let value = style === '|' ? collected.join('\n') : collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+    if (chomping === '+') {
+        value += '\n'.repeat(trailing + 1);
+    } else if (chomping !== '-' && collected.length > 0) {
+        value += '\n';
+    }
+    return [value, i - trailing];
+}
+
+function parseScalarOrFlow(text, line) {
+    if (text.startsWith('[') || text.startsWith('{')) {
+        return parseFlow(text, line);
+    }
+    return parseScalar(text, line);
+}
+
+function parseFlow(text, line) {
+    let open = text[0], close = open === '[' ? ']' : '}';
+    if (!text.endsWith(close)) {
+        throw yamlError(line, `unterminated ${open}`);
+    }
+    let items = splitFlowItems(text.slice(1, -1), line);
+    if (open === '[') {
+        return items.map(item => parseScalarOrFlow(item, line));
+    }
+    let result = {};
+    for (let item of items) {
+        let kv = splitKeyValue(item);
+        if (!kv) {
+            throw yamlError(line, `expected "key: value" in ${text}`);
+        }
+        result[kv[0]] = kv[1] === '' ? null : parseScalarOrFlow(kv[1], line);
+    }
+    return result;
+}
+
+function splitFlowItems(text, line) {
+    let items = [], current = '', depth = 0, quote = null;
+    for (let ch of text) {
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (quote || depth !== 0) {
+        throw yamlError(line, 'unbalanced quotes or brackets');
+    }
+    if (current.trim() !== '') {
+        items.push(current.trim());
+    }
+    return items;
+}
+
+function parseScalar(text, line) {
+    if (text.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+            throw yamlError(line, 'unterminated double quoted string');
+        }
+        return JSON.parse(text.replace(/\\'/g, '\''));
+    }
+    if (text.startsWith('\'')) {
+        if (!/^'(?:[^']|'')*'$/.test(text)) {
+            throw yamlError(line, 'unterminated single quoted string');
+        }
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+    if (/^(null|Null|NULL|~)$/.test(text)) {
+        return null;
+    }
+    if (/^[-+]?(\d+|\d*\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+//Keys may contain colons, e.g. aws:autoscaling:asg, so the separator is a colon followed by a space or end of line.
+function splitKeyValue(text) {
+    let quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(\s+|$)(.*)$/);
+    if (quoted) {
+        return [parseScalar(quoted[1]), quoted[3].trim()];
+    }
+    let match = text.match(/^([^"'[{][^]*?):(\s+|$)(.*)$/);
+    if (!match) {
+        return null;
+    }
+    return [match[1].trim(), match[3].trim()];
+}
+
+function isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+}
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        let ch = line[i];
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            }
+        } else if ((ch === '"' || ch === '\'') && /(^|[\s:,[{-])$/.test(line.substr(0, i).replace(/\s+$/, ' '))) {
+            //Only quotes that start a value, not the apostrophe in "don't"
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substr(0, i);
+        }
+    }
+    return line;
+}
+
+function nextLine(lines, i) {
+    while (i < lines.length && lines[i].blank) {
+        i++;
+    }
+    return i;
+}
+
+function yamlError(line, message) {
+    return new Error(`YAML error on line ${line.number}: ${message}: ${line.raw.trim()}`);
+}
+
+module.exports = { parse };
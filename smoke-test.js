@@ -0,0 +1,87 @@
+const http = require('http'),
+    https = require('https'),
+    httpProxy = require('./http-proxy');
+
+//Requests each path after the deployment, and checks that the status code is one of the expected ones and, if given,
+//that the body matches bodyRegex. Beanstalk health only tells us the instances are up, not that the app actually
+//works, so this catches things like a missing environment variable making every real route return 500.
+//Each path is retried a few times before giving up, since the load balancer can take a moment to pick up the new
+//instances. Rejects with the reason of the first path that failed.
+function runSmokeTests(baseUrl, options, log) {
+    let { paths, expectedStatus, bodyRegex, retries, timeoutSeconds, retryDelaySeconds } = options;
+
+    log.info(`Running smoke tests against ${baseUrl}...`);
+    return paths.reduce((previous, path) => previous.then(() => {
+        let url = new URL(path, baseUrl).toString();
+        return checkUrl(url, 1);
+    }), Promise.resolve()).then(() => {
+        log.info(`Smoke tests passed.`);
+    });
+
+    function checkUrl(url, attempt) {
+        return get(url, timeoutSeconds * 1000).then(res => {
+            if (expectedStatus.indexOf(res.statusCode) === -1) {
+                throw new Error(`GET ${url} returned status ${res.statusCode}, expected ${expectedStatus.join(' or ')}`);
+            }
+            if (bodyRegex && !bodyRegex.test(res.body)) {
+                throw new Error(`GET ${url} returned status ${res.statusCode}, but the body did not match ${bodyRegex}: ${truncate(res.body)}`);
+            }
+            log.info(`    GET ${url} -> ${res.statusCode}`);
+        }).catch(err => {
+            if (attempt > retries) {
+                throw new Error(`Smoke test failed: ${err.message}`);
+            }
+            log.warn(`    ${err.message}. Retrying in ${retryDelaySeconds} seconds (retry ${attempt} of ${retries})...`);
+            return new Promise(resolve => setTimeout(resolve, retryDelaySeconds * 1000)).then(() => checkUrl(url, attempt + 1));
+        });
+    }
+}
+
+//Redirects are not followed, so a redirect to a login page doesn't look like success unless 3xx is expected. Goes
+//through the same proxy as the AWS requests, from HTTPS_PROXY or HTTP_PROXY unless the host is in NO_PROXY.
+function get(url, timeout) {
+    return new Promise((resolve, reject) => {
+        let parsed = new URL(url);
+        let port = parseInt(parsed.port) || (parsed.protocol === 'http:' ? 80 : 443);
+        let options = { hostname: parsed.hostname, port, path: parsed.pathname + parsed.search, method: 'GET', timeout, headers: { 'User-Agent': 'beanstalk-deploy smoke test' } };
+        let fail = err => reject(err.message.indexOf(url) === -1 ? new Error(`GET ${url} failed: ${err.message}`) : err);
+
+        let proxy;
+        try {
+            proxy = httpProxy.getProxyUrl(parsed.protocol, parsed.hostname, port);
+        } catch (err) {
+            fail(new Error(`Invalid proxy url: ${err.message}`));
+            return;
+        }
+        if (!proxy) {
+            send(options);
+            return;
+        }
+        httpProxy.proxyRequestOptions(proxy, parsed.protocol, options, (err, proxyOptions) => {
+            if (err) {
+                fail(err);
+            } else {
+                send(proxyOptions);
+            }
+        });
+
+        function send(requestOptions) {
+            let req = (parsed.protocol === 'http:' ? http : https).request(requestOptions, res => {
+                let chunks = [];
+                res.on('data', d => chunks.push(d));
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+                res.on('error', reject);
+            });
+            req.on('timeout', () => req.destroy(new Error(`GET ${url} timed out after ${timeout / 1000} seconds`)));
+            req.on('error', fail);
+            req.end();
+        }
+    });
+}
+
+function truncate(body) {
+    body = body.replace(/\s+/g, ' ').trim();
+    return body.length > 200 ? body.substr(0, 200) + '...' : body;
+}
+
+module.exports = runSmokeTests;
@@ -0,0 +1,151 @@
+const awsApiRequest = require('./aws-api-request');
+const logger = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+//Deletes old application versions, so the application stays under the Beanstalk quota of 1000 versions. Versions are
+//candidates for deletion when they are not among the keepVersions newest ones and older than maxAgeDays. If only one
+//of the rules is given, only that one is used. Versions that are deployed to any environment in the application, and
+//the version we just deployed, are never deleted. Failing to delete a version is only a warning, since the deployment
+//itself was successful.
+function cleanUpVersions(application, currentVersionLabel, options) {
+    let { keepVersions, maxAgeDays, deleteSourceBundle, dryRun } = options;
+    let versions, deployedLabels;
+
+    logger.info('');
+    logger.info(`Cleaning up old application versions of ${application} (${describeRules(keepVersions, maxAgeDays)})${dryRun ? ', dry run' : ''}...`);
+
+    return describeAllApplicationVersions(application).then(result => {
+        versions = result;
+        return describeApplicationEnvironments(application);
+    }).then(environments => {
+        deployedLabels = new Set(environments.map(env => env.VersionLabel).filter(label => label));
+
+        let now = new Date().getTime();
+        let toDelete = versions.sort((a, b) => b.DateCreated - a.DateCreated).filter((version, i) => {
+            if (version.VersionLabel === currentVersionLabel || deployedLabels.has(version.VersionLabel)) {
+                return false;
+            }
+            if (version.Status === 'PROCESSING' || version.Status === 'BUILDING') {
+                return false; //Someone else is creating it right now
+            }
+            let outsideKept = keepVersions === null || i >= keepVersions;
+            let tooOld = maxAgeDays === null || now - version.DateCreated * 1000 > maxAgeDays * DAY;
+            return outsideKept && tooOld;
+        });
+
+        logger.info(`Found ${versions.length} versions, ${deployedLabels.size} deployed to environments, ${toDelete.length} to delete.`);
+
+        //Versions with identical content share a source bundle, so a bundle is only deleted along with the last version
+        //that uses it.
+        let bundleUsers = new Map();
+        for (let version of versions) {
+            let key = bundleKey(version);
+            bundleUsers.set(key, (bundleUsers.get(key) || 0) + 1);
+        }
+        let deletesBundle = version => deleteSourceBundle && bundleUsers.get(bundleKey(version)) === 1;
+        let deleted = version => bundleUsers.set(bundleKey(version), bundleUsers.get(bundleKey(version)) - 1);
+
+        if (dryRun) {
+            for (let version of toDelete) {
+                logger.info(`    Would delete ${describeVersion(version, deleteSourceBundle, deletesBundle(version))}`);
+                deleted(version);
+            }
+            return;
+        }
+
+        //One at a time, DeleteApplicationVersion is easily throttled
+        return toDelete.reduce((previous, version) => previous.then(() => {
+            let deleteBundle = deletesBundle(version);
+            return deleteApplicationVersion(application, version.VersionLabel, deleteBundle).then(result => {
+                if (result.statusCode === 200) {
+                    deleted(version);
+                    logger.info(`    Deleted ${describeVersion(version, deleteSourceBundle, deleteBundle)}`);
+                } else {
+                    logger.warn(`    Failed to delete version ${version.VersionLabel}, status: ${result.statusCode}, message: ${JSON.stringify(result.data)}`);
+                }
+            });
+        }), Promise.resolve());
+    }).catch(err => {
+        logger.warn(`Cleaning up old application versions failed: ${err}`);
+    });
+}
+
+function describeRules(keepVersions, maxAgeDays) {
+    let rules = [];
+    if (keepVersions !== null) {
+        rules.push(`the ${keepVersions} newest versions`);
+    }
+    if (maxAgeDays !== null) {
+        rules.push(`versions newer than ${maxAgeDays} days`);
+    }
+    return 'keeping ' + rules.join(' and ');
+}
+
+function bundleKey(version) {
+    return version.SourceBundle ? `${version.SourceBundle.S3Bucket}/${version.SourceBundle.S3Key}` : `no bundle: ${version.VersionLabel}`;
+}
+
+function describeVersion(version, deleteSourceBundle, deleteBundle) {
+    let created = new Date(version.DateCreated * 1000).toISOString().substr(0, 10);
+    let bundle = '';
+    if (deleteSourceBundle && version.SourceBundle) {
+        let location = `s3://${version.SourceBundle.S3Bucket}/${version.SourceBundle.S3Key}`;
+        bundle = deleteBundle ? `, and its source bundle ${location}` : `, but not its source bundle ${location}, other versions use it`;
+    }
+    return `version ${version.VersionLabel} (created ${created})${bundle}`;
+}
+
+//DescribeApplicationVersions returns at most 1000 versions per call, so follow NextToken until we have them all.
+function describeAllApplicationVersions(application, nextToken, versions = []) {
+    let querystring = {
+        Operation: 'DescribeApplicationVersions',
+        Version: '2010-12-01',
+        ApplicationName: application,
+        MaxRecords: 1000
+    };
+    if (nextToken) {
+        querystring.NextToken = nextToken;
+    }
+
+    return awsApiRequest({ service: 'elasticbeanstalk', querystring }).then(result => {
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed in call to describeApplicationVersions. Status: ${result.statusCode}. Message: ${JSON.stringify(result.data)}`);
+        }
+        let response = result.data.DescribeApplicationVersionsResponse.DescribeApplicationVersionsResult;
+        versions = versions.concat(response.ApplicationVersions);
+        return response.NextToken ? describeAllApplicationVersions(application, response.NextToken, versions) : versions;
+    });
+}
+
+function describeApplicationEnvironments(application) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DescribeEnvironments',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            IncludeDeleted: false
+        }
+    }).then(result => {
+        if (result.statusCode !== 200) {
+            throw new Error(`Failed in call to describeEnvironments. Status: ${result.statusCode}. Message: ${JSON.stringify(result.data)}`);
+        }
+        return result.data.DescribeEnvironmentsResponse.DescribeEnvironmentsResult.Environments;
+    });
+}
+
+function deleteApplicationVersion(application, versionLabel, deleteSourceBundle) {
+    return awsApiRequest({
+        service: 'elasticbeanstalk',
+        querystring: {
+            Operation: 'DeleteApplicationVersion',
+            Version: '2010-12-01',
+            ApplicationName: application,
+            VersionLabel: versionLabel,
+            DeleteSourceBundle: !!deleteSourceBundle
+        }
+    });
+}
+
+module.exports = { cleanUpVersions, describeAllApplicationVersions, describeApplicationEnvironments };
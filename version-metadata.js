@@ -0,0 +1,70 @@
+const logger = require('./logger');
+
+//Beanstalk doesn't allow longer version descriptions
+const MAX_DESCRIPTION_LENGTH = 200;
+const TRUNCATED = ' [...TRUNCATED]';
+
+//Metadata about the workflow run that created a version, from the environment variables GitHub Actions sets. The values
+//can be used as {{placeholders}} in the version label and description, and are added as tags to new versions.
+function githubValues(env) {
+    let now = new Date().toISOString();
+    let runUrl = env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}` : '';
+    return {
+        sha: env.GITHUB_SHA || '',
+        short_sha: (env.GITHUB_SHA || '').substr(0, 7),
+        ref: env.GITHUB_REF || '',
+        branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || '', //For pull requests GITHUB_REF_NAME is <number>/merge
+        repository: env.GITHUB_REPOSITORY || '',
+        workflow: env.GITHUB_WORKFLOW || '',
+        event: env.GITHUB_EVENT_NAME || '',
+        actor: env.GITHUB_ACTOR || '',
+        run_id: env.GITHUB_RUN_ID || '',
+        run_number: env.GITHUB_RUN_NUMBER || '',
+        run_attempt: env.GITHUB_RUN_ATTEMPT || '',
+        run_url: runUrl,
+        timestamp: now.substr(0, 19).replace(/[-:]/g, '').replace('T', '-') //20240131-235959, sorts and is safe in labels
+    };
+}
+
+//Replaces {{name}} with the value, spaces inside the braces are allowed. Unknown names are an error rather than left
+//as they are, so a typo doesn't end up in every version label.
+function applyTemplate(text, values) {
+    return text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            throw new Error(`Unknown placeholder ${match}, available ones are ${Object.keys(values).map(key => `{{${key}}}`).join(', ')}`);
+        }
+        return values[name];
+    });
+}
+
+//Only the values that identify where the version came from, and only the ones that are set.
+function githubTags(values) {
+    let tags = [
+        { Key: 'github:repository', Value: values.repository },
+        { Key: 'github:sha', Value: values.sha },
+        { Key: 'github:ref', Value: values.ref },
+        { Key: 'github:workflow', Value: values.workflow },
+        { Key: 'github:actor', Value: values.actor },
+        { Key: 'github:run-url', Value: values.run_url }
+    ];
+    return tags.filter(tag => tag.Value).map(tag => ({ Key: tag.Key, Value: sanitizeTagValue(tag.Value) }));
+}
+
+//Tag values can only have letters, numbers, spaces and _ . : / = + - @, and branch names and workflow names can have more.
+function sanitizeTagValue(value) {
+    return value.replace(/[^\w\s.:\/=+\-@]/g, '_').substr(0, 256);
+}
+
+//Truncates the description to Beanstalk's limit, with a warning. The limit is in characters, not UTF-16 code units,
+//so the description is cut between characters and emoji etc. don't get split.
+function truncateDescription(description) {
+    let characters = Array.from(description || '');
+    if (characters.length <= MAX_DESCRIPTION_LENGTH) {
+        return description || '';
+    }
+    description = characters.slice(0, MAX_DESCRIPTION_LENGTH - TRUNCATED.length).join('').replace(/\s+$/, '') + TRUNCATED;
+    logger.warn(`Version description is longer than Beanstalk's limit of ${MAX_DESCRIPTION_LENGTH} characters. Truncated it to: ${description}`);
+    return description;
+}
+
+module.exports = { githubValues, applyTemplate, githubTags, truncateDescription };
@@ -0,0 +1,258 @@
+const fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    zlib = require('zlib'),
+    logger = require('./logger');
+
+//All entries get the same timestamp, 1980-01-01 00:00:00, the earliest date a zip file can have. Together with
+//sorting the entries this makes the zip file depend only on the names, modes and contents of the files, so zipping
+//the same sources twice gives the same bytes (with the same Node.js version, since the compressed data comes from zlib).
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const UTF8_NAMES = 0x0800;
+const MADE_BY_UNIX = (3 << 8) | 20;
+const VERSION_NEEDED = 20;
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+//Zips the directory into a new file in the temp directory, and resolves with its path. Files matching the patterns
+//in .ebignore are left out, like the EB CLI does, or if there is no .ebignore, the ones in .gitignore. The .git
+//directory is always left out. File modes are kept, so scripts in .platform/hooks stay executable.
+function zipDirectory(dir, zipName) {
+    return Promise.resolve().then(() => {
+        let ignoreFile = ['.ebignore', '.gitignore'].map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+        let rules = ignoreFile ? parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf8')) : [];
+
+        let files = listFiles(dir, '', rules);
+        if (files.length === 0) {
+            throw new Error(`No files to zip in directory ${dir}`);
+        }
+        if (files.length > MAX_ENTRIES) {
+            throw new Error(`Directory ${dir} has ${files.length} files, too many for a zip file without Zip64, which is not supported. Use a zip file instead.`);
+        }
+
+        let zipFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'beanstalk-deploy-')), zipName);
+        logger.info(`Zipping directory ${dir}, ${files.length} files${ignoreFile ? `, excluding files matching ${path.basename(ignoreFile)}` : ''}`);
+        try {
+            writeZip(dir, files, zipFile);
+        } catch (err) {
+            removeZipFile(zipFile);
+            throw err;
+        }
+        return zipFile;
+    });
+}
+
+//Lists the files to zip, as paths relative to the zip root with / separators, sorted. Directories that are ignored
+//are not looked into at all, so like in git, files in them can't be included again with !pattern.
+function listFiles(root, relativeDir, rules) {
+    let files = [];
+    let names = fs.readdirSync(path.join(root, relativeDir)).sort();
+    for (let name of names) {
+        let relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        let fullPath = path.join(root, relativePath);
+        let stats = fs.lstatSync(fullPath);
+        if (stats.isSymbolicLink()) {
+            //Symlinks to files are zipped as the file they point to, symlinked directories are skipped to avoid loops.
+            try {
+                stats = fs.statSync(fullPath);
+            } catch (err) {
+                logger.warn(`Skipping broken symlink ${relativePath}`);
+                continue;
+            }
+            if (stats.isDirectory()) {
+                logger.warn(`Skipping symlinked directory ${relativePath}`);
+                continue;
+            }
+        }
+
+        let isDir = stats.isDirectory();
+        if ((isDir && name === '.git') || isIgnored(rules, relativePath, isDir)) {
+            continue;
+        }
+        if (isDir) {
+            files = files.concat(listFiles(root, relativePath, rules));
+        } else if (stats.isFile()) {
+            files.push({ name: relativePath, mode: stats.mode & 0o777 });
+        }
+    }
+    return files;
+}
+
+function writeZip(root, files, zipFile) {
+    let fd = fs.openSync(zipFile, 'w');
+    try {
+        let offset = 0;
+        let centralDirectory = [];
+
+        for (let file of files) {
+            let content = fs.readFileSync(path.join(root, file.name));
+            let compressed = zlib.deflateRawSync(content, { level: 9 });
+            let method = 8;
+            if (compressed.length >= content.length) {
+                compressed = content; //Already compressed files, like images, are just stored
+                method = 0;
+            }
+            if (offset > MAX_SIZE || content.length > MAX_SIZE) {
+                throw new Error(`The zip file would be larger than 4 GB, which needs Zip64, which is not supported. Use a zip file instead.`);
+            }
+
+            let name = Buffer.from(file.name, 'utf8');
+            let crc = crc32(content);
+
+            let local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(VERSION_NEEDED, 4);
+            local.writeUInt16LE(UTF8_NAMES, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(DOS_TIME, 10);
+            local.writeUInt16LE(DOS_DATE, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(content.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            let central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(MADE_BY_UNIX, 4);
+            central.writeUInt16LE(VERSION_NEEDED, 6);
+            central.writeUInt16LE(UTF8_NAMES, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt16LE(DOS_TIME, 12);
+            central.writeUInt16LE(DOS_DATE, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(content.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            //Extra field length, comment length, disk number and internal attributes are all 0
+            central.writeUInt32LE(((0o100000 | file.mode) << 16) >>> 0, 38); //Regular file with its unix permissions
+            central.writeUInt32LE(offset, 42);
+            centralDirectory.push(central, name);
+
+            fs.writeSync(fd, local);
+            fs.writeSync(fd, name);
+            fs.writeSync(fd, compressed);
+            offset += local.length + name.length + compressed.length;
+        }
+
+        let centralDirectoryBuffer = Buffer.concat(centralDirectory);
+        if (offset + centralDirectoryBuffer.length > MAX_SIZE) {
+            throw new Error(`The zip file would be larger than 4 GB, which needs Zip64, which is not supported. Use a zip file instead.`);
+        }
+        let end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralDirectoryBuffer.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        fs.writeSync(fd, centralDirectoryBuffer);
+        fs.writeSync(fd, end);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+//Parses .gitignore style patterns: # comments, !negation, trailing / for directories only, * ? [abc] and **. Patterns
+//with a / in them (other than at the end) are relative to the root, others match at any level.
+function parseIgnoreFile(text) {
+    let rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.replace(/(^|[^\\])\s+$/, '$1');
+        if (line === '' || line.startsWith('#')) {
+            continue;
+        }
+        let negate = line.startsWith('!');
+        if (negate) {
+            line = line.substr(1);
+        } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+            line = line.substr(1);
+        }
+        let dirOnly = line.endsWith('/');
+        if (dirOnly) {
+            line = line.replace(/\/+$/, '');
+        }
+        let anchored = line.indexOf('/') !== -1;
+        line = line.replace(/^\//, '');
+        if (line === '') {
+            continue;
+        }
+        rules.push({ regex: new RegExp('^' + (anchored ? '' : '(?:.*/)?') + globToRegex(line) + '$'), negate, dirOnly });
+    }
+    return rules;
+}
+
+function globToRegex(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        let ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+            //** as a whole path segment matches any number of directories
+            re += i + 2 === glob.length ? '.*' : '(?:.*/)?';
+            i += 2;
+        } else if (ch === '*') {
+            re += '[^/]*';
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '[' && glob.indexOf(']', i + 2) !== -1) {
+            let end = glob.indexOf(']', i + 2);
+            let characters = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            re += '[' + (characters.startsWith('!') ? '^' + characters.substr(1) : characters) + ']';
+            i = end;
+        } else if (ch === '\\' && i + 1 < glob.length) {
+            re += escapeRegex(glob[++i]);
+        } else {
+            re += escapeRegex(ch);
+        }
+    }
+    return re;
+}
+
+function escapeRegex(ch) {
+    return ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+//The last matching pattern decides, so later !patterns can include files again.
+function isIgnored(rules, relativePath, isDir) {
+    let ignored = false;
+    for (let rule of rules) {
+        if ((!rule.dirOnly || isDir) && rule.regex.test(relativePath)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+//Deletes a zip file made by zipDirectory, together with the temp directory it's in.
+function removeZipFile(zipFile) {
+    try {
+        fs.rmSync(path.dirname(zipFile), { recursive: true, force: true });
+    } catch (err) {
+        logger.warn(`Failed to delete ${zipFile}: ${err.message}`);
+    }
+}
+
+module.exports = zipDirectory;
+module.exports.removeZipFile = removeZipFile;